@@ -0,0 +1,153 @@
+// controllers/adminController.js - Operator endpoints (cache, token classifications)
+import { cache } from '../services/cacheService.js';
+import { AIService } from '../services/aiService.js';
+import { tokenClassifications } from '../services/tokenClassificationRegistry.js';
+import { ServiceUnavailableError } from '../utils/errors.js';
+
+const DEFAULT_KEYS_LIMIT = 100;
+
+export class AdminController {
+  constructor() {
+    this.cache = cache;
+    this.aiService = new AIService();
+    this.tokenClassifications = tokenClassifications;
+  }
+
+  /**
+   * GET /api/admin/cache/stats
+   */
+  getCacheStats = async (req, res, next) => {
+    try {
+      res.json(await this.cache.getStats());
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  /**
+   * GET /api/admin/cache/keys?prefix=wallet:&limit=100
+   */
+  listCacheKeys = async (req, res, next) => {
+    try {
+      const prefix = req.query.prefix || '';
+      const limit = parseInt(req.query.limit) || DEFAULT_KEYS_LIMIT;
+      const keys = await this.cache.keys(prefix);
+
+      res.json({
+        prefix,
+        total: keys.length,
+        keys: keys.slice(0, limit)
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  /**
+   * GET /api/admin/cache/keys/:key
+   */
+  getCacheEntry = async (req, res, next) => {
+    try {
+      const entry = await this.cache.inspect(req.params.key);
+      if (!entry) {
+        return res.status(404).json({ error: `Cache key '${req.params.key}' not found` });
+      }
+
+      res.json(entry);
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  /**
+   * DELETE /api/admin/cache/keys/:key
+   */
+  deleteCacheEntry = async (req, res, next) => {
+    try {
+      // Stale entries count as existing here: they are still stored
+      const existed = (await this.cache.inspect(req.params.key)) !== null;
+      await this.cache.delete(req.params.key);
+
+      console.log(`🧹 Cache key ${req.params.key} invalidated by admin`);
+      res.json({ key: req.params.key, deleted: existed ? 1 : 0 });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  /**
+   * DELETE /api/admin/cache/keys?prefix=price:
+   */
+  invalidateCachePrefix = async (req, res, next) => {
+    try {
+      const deleted = await this.cache.invalidate(req.query.prefix);
+
+      console.log(`🧹 ${deleted} cache keys with prefix ${req.query.prefix} invalidated by admin`);
+      res.json({ prefix: req.query.prefix, deleted });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  /**
+   * POST /api/admin/cache/market-context/refresh
+   */
+  refreshMarketContext = async (req, res, next) => {
+    try {
+      const context = await this.aiService.refreshMarketContext();
+      if (!context) throw new ServiceUnavailableError('No live market data to refresh the market context from');
+
+      res.json({ refreshed: true, context });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  /**
+   * GET /api/admin/tokens?category=stablecoin
+   */
+  listTokenClassifications = async (req, res, next) => {
+    try {
+      await this.tokenClassifications.ready;
+      const tokens = this.tokenClassifications.list({ category: req.query.category });
+
+      res.json({
+        ...this.tokenClassifications.getStatus(),
+        count: tokens.length,
+        tokens
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  /**
+   * PUT /api/admin/tokens
+   * Body: { symbol, name?, category, chain?, contractAddress?, liquidityTier }
+   */
+  upsertTokenClassification = async (req, res, next) => {
+    try {
+      const entry = await this.tokenClassifications.upsert(req.body);
+      res.json({ success: true, token: entry });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  /**
+   * DELETE /api/admin/tokens/:key (symbol or "<chain>:<contract>")
+   */
+  deleteTokenClassification = async (req, res, next) => {
+    try {
+      const removed = await this.tokenClassifications.removeOverride(req.params.key);
+      if (!removed) {
+        return res.status(404).json({ error: `No override for '${req.params.key}' (built-in entries can only be overridden)` });
+      }
+
+      console.log(`🏷️ Token classification override ${req.params.key} removed by admin`);
+      res.json({ success: true, key: req.params.key });
+    } catch (error) {
+      next(error);
+    }
+  };
+}
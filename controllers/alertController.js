@@ -11,21 +11,31 @@ export class AlertController {
    */
   createAlert = async (req, res, next) => {
     try {
-      const { address, type, condition, value, token } = req.body;
-
-      // Validate required fields
-      if (!address || !type || !condition || !value) {
-        return res.status(400).json({
-          error: 'Missing required fields: address, type, condition, value'
-        });
-      }
+      const {
+        address, type, condition, value, token, targets, params, direction, counterparties, expression,
+        webhookUrl, webhookSecret, channels, email, chatWebhookUrl, chatFormat, mode, cooldownSeconds
+      } = req.body;
 
+      // Body is validated by validateAlertCreate
       const alert = await this.alertService.createAlert({
         address,
         type,
         condition,
         value,
         token,
+        targets,
+        params,
+        direction,
+        counterparties,
+        expression,
+        webhookUrl,
+        webhookSecret,
+        channels,
+        email,
+        chatWebhookUrl,
+        chatFormat,
+        mode,
+        cooldownSeconds,
         createdAt: new Date().toISOString()
       });
 
@@ -49,7 +59,7 @@ export class AlertController {
 
       res.json({
         address,
-        alerts,
+        alerts: alerts.map(this.toPublicAlert),
         total: alerts.length
       });
     } catch (error) {
@@ -57,6 +67,63 @@ export class AlertController {
     }
   };
 
+  /**
+   * Update an alert (condition, value, token, targets, params, direction,
+   * counterparties, mode, cooldownSeconds, channels, email, chatWebhookUrl, chatFormat)
+   */
+  updateAlert = async (req, res, next) => {
+    try {
+      const { alertId } = req.params;
+      const {
+        condition, value, token, targets, params, direction, counterparties, mode, cooldownSeconds,
+        channels, email, chatWebhookUrl, chatFormat
+      } = req.body;
+
+      const alert = await this.alertService.updateAlert(alertId, {
+        condition,
+        value,
+        token,
+        targets,
+        params,
+        direction,
+        counterparties,
+        mode,
+        cooldownSeconds,
+        channels,
+        email,
+        chatWebhookUrl,
+        chatFormat
+      });
+
+      if (!alert) {
+        return res.status(404).json({
+          error: 'Alert not found'
+        });
+      }
+
+      res.json({
+        message: 'Alert updated successfully',
+        alert: this.toPublicAlert(alert)
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  /**
+   * Pause an alert (stops evaluation until resumed)
+   */
+  pauseAlert = async (req, res, next) => {
+    await this.changeStatus(req, res, next, 'paused');
+  };
+
+  /**
+   * Resume a paused alert
+   */
+  resumeAlert = async (req, res, next) => {
+    await this.changeStatus(req, res, next, 'active');
+  };
+
   /**
    * Delete an alert
    */
@@ -92,11 +159,293 @@ export class AlertController {
 
       res.json({
         address,
-        activeAlerts,
+        activeAlerts: activeAlerts.map(this.toPublicAlert),
         count: activeAlerts.length
       });
     } catch (error) {
       next(error);
     }
   };
+
+  /**
+   * Get notification inbox (paginated, filterable by severity)
+   */
+  getNotifications = async (req, res, next) => {
+    try {
+      const { address } = req.params;
+      const { page = 1, limit = 20, severity, unread } = req.query;
+
+      const result = await this.alertService.getNotifications(address, {
+        page: Math.max(parseInt(page) || 1, 1),
+        limit: Math.min(Math.max(parseInt(limit) || 20, 1), 100),
+        severity: severity ? severity.split(',').map(level => level.trim().toLowerCase()) : [],
+        unreadOnly: unread === 'true'
+      });
+
+      res.json({
+        address,
+        ...result
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  /**
+   * Mark a single notification as read
+   */
+  markNotificationRead = async (req, res, next) => {
+    try {
+      const { address, notificationId } = req.params;
+
+      const notification = await this.alertService.markNotificationRead(address, notificationId);
+
+      if (!notification) {
+        return res.status(404).json({
+          error: 'Notification not found'
+        });
+      }
+
+      res.json({
+        message: 'Notification marked as read',
+        notification
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  /**
+   * Mark all notifications for an address as read
+   */
+  markAllNotificationsRead = async (req, res, next) => {
+    try {
+      const { address } = req.params;
+
+      const updated = await this.alertService.markAllNotificationsRead(address);
+
+      res.json({
+        message: 'All notifications marked as read',
+        address,
+        updated
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  /**
+   * Monitoring loop statistics
+   */
+  getMonitoringStats = async (req, res, next) => {
+    try {
+      res.json({
+        monitoring: this.alertService.getMonitoringStats(),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  /**
+   * Live alert stream (Server-Sent Events) with Last-Event-ID resume
+   */
+  streamAlerts = async (req, res, next) => {
+    try {
+      const { address } = req.params;
+      const { eventStream } = this.alertService;
+
+      const send = (entry) => {
+        res.write(`id: ${entry.id}\nevent: ${entry.event}\ndata: ${JSON.stringify(entry.data)}\n\n`);
+      };
+
+      const unsubscribe = eventStream.subscribe(address, send, { clientId: req.ip });
+      if (!unsubscribe) {
+        return res.status(429).json({
+          error: 'Too many open streams for this address from this client'
+        });
+      }
+
+      res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+      });
+      res.flushHeaders();
+      res.write('retry: 5000\n\n');
+
+      // Replay what the client missed while disconnected
+      const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+      if (lastEventId) {
+        eventStream.getEventsSince(address, lastEventId).forEach(send);
+      }
+
+      const heartbeat = setInterval(() => {
+        res.write(`: heartbeat ${new Date().toISOString()}\n\n`);
+      }, 15000);
+
+      req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  /**
+   * Get notification preferences for an address
+   */
+  getPreferences = async (req, res, next) => {
+    try {
+      const { address } = req.params;
+
+      const preferences = await this.alertService.getNotificationPreferences(address);
+
+      res.json({
+        address,
+        preferences
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  /**
+   * Update notification preferences (timezone, quietHours, minImmediateSeverity, digestInterval)
+   */
+  updatePreferences = async (req, res, next) => {
+    try {
+      const { address } = req.params;
+      const { timezone, quietHours, minImmediateSeverity, digestInterval } = req.body;
+
+      const changes = Object.fromEntries(
+        Object.entries({ timezone, quietHours, minImmediateSeverity, digestInterval })
+          .filter(([, value]) => value !== undefined)
+      );
+
+      const preferences = await this.alertService.updateNotificationPreferences(address, changes);
+
+      res.json({
+        message: 'Notification preferences updated',
+        address,
+        preferences
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  /**
+   * Get notification digests (sent + pending)
+   */
+  getDigests = async (req, res, next) => {
+    try {
+      const { address } = req.params;
+      const { limit = 10 } = req.query;
+
+      const { digests, pending } = await this.alertService.getDigests(address, {
+        limit: Math.min(Math.max(parseInt(limit) || 10, 1), 50)
+      });
+
+      res.json({
+        address,
+        digests,
+        pending,
+        pendingCount: pending.length
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  /**
+   * Get webhook delivery log for an alert
+   */
+  getDeliveries = async (req, res, next) => {
+    try {
+      const { alertId } = req.params;
+
+      const alert = await this.alertService.getAlert(alertId);
+      if (!alert) {
+        return res.status(404).json({
+          error: 'Alert not found'
+        });
+      }
+
+      const deliveries = await this.alertService.getDeliveries(alertId);
+
+      res.json({
+        alertId,
+        webhookUrl: alert.webhookUrl ? maskUrl(alert.webhookUrl) : null,
+        deliveries: deliveries.map(this.toPublicDelivery),
+        total: deliveries.length
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // ==================== HELPER METHODS ====================
+
+  async changeStatus(req, res, next, status) {
+    try {
+      const { alertId } = req.params;
+
+      const alert = await this.alertService.setAlertStatus(alertId, status);
+
+      if (!alert) {
+        return res.status(404).json({
+          error: 'Alert not found'
+        });
+      }
+
+      res.json({
+        message: `Alert ${status === 'paused' ? 'paused' : 'resumed'} successfully`,
+        alert: this.toPublicAlert(alert)
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Strip the webhook signing secret (only returned once, on creation) and mask
+   * delivery targets: wallet addresses are public, and a chat or webhook URL
+   * is enough to post to its receiver
+   */
+  toPublicAlert(alert) {
+    const { webhookSecret, ...publicAlert } = alert;
+
+    if (publicAlert.email) publicAlert.email = maskEmail(publicAlert.email);
+    if (publicAlert.webhookUrl) publicAlert.webhookUrl = maskUrl(publicAlert.webhookUrl);
+    if (publicAlert.chatWebhookUrl) publicAlert.chatWebhookUrl = maskUrl(publicAlert.chatWebhookUrl);
+
+    return publicAlert;
+  }
+
+  /**
+   * Delivery log entry without the payload, target URL masked like toPublicAlert
+   */
+  toPublicDelivery(delivery) {
+    const { payload, url, ...publicDelivery } = delivery;
+    return { ...publicDelivery, url: url ? maskUrl(url) : null, event: payload?.event };
+  }
+}
+
+// "me@example.com" -> "m***@example.com"
+function maskEmail(email) {
+  const [local, domain] = email.split('@');
+  return `${local.charAt(0)}***@${domain}`;
+}
+
+// Keep the host so users can tell their targets apart: "https://hooks.slack.com/***"
+function maskUrl(url) {
+  try {
+    return `${new URL(url).origin}/***`;
+  } catch {
+    return '***';
+  }
 }
\ No newline at end of file
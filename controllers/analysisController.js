@@ -2,6 +2,7 @@
 import { AIService } from '../services/aiService.js';
 import { AuraService } from '../services/auraService.js';
 import { RiskAnalyzer } from '../services/riskAnalyzer.js';
+import { fxService, currencyFields } from '../services/fxService.js';
 
 export class AnalysisController {
   constructor() {
@@ -95,6 +96,8 @@ export class AnalysisController {
  */
   getMarketInsights = async (req, res, next) => {
     try {
+      const fx = await fxService.getConverter(req.query.currency);
+
       // 🧠 Step 1: Get AI + Live market context (AURA + CoinGecko)
       const marketContext = await this.aiService.getMarketContext();
   
@@ -107,7 +110,7 @@ export class AnalysisController {
         marketData = {
           totalMarketCap: marketContext.liveData.marketCapUSD,
           btcDominance: marketContext.liveData.btcDominance,
-          fearGreedIndex: marketContext.liveData.fearGreedIndex || 50,
+          fearGreedIndex: marketContext.liveData.fearGreedIndex ?? null,
           trending: marketContext.liveData.trending || ["BTC", "ETH"],
         };
       }
@@ -116,8 +119,12 @@ export class AnalysisController {
       const combinedInsight = this.interpretMarketSentiment(marketContext);
   
       const insights = {
-        aiContext: marketContext,
-        marketData,
+        ...currencyFields(fx),
+        aiContext: {
+          ...marketContext,
+          liveData: this.convertLiveData(marketContext.liveData, fx)
+        },
+        marketData: { ...marketData, totalMarketCap: fx.convert(marketData.totalMarketCap) },
         combinedInsight,
         recommendations: this.getMarketRecommendations(marketContext),
         timestamp: new Date().toISOString(),
@@ -136,6 +143,7 @@ export class AnalysisController {
   getPortfolioHealth = async (req, res, next) => {
     try {
       const { address } = req.params;
+      const fx = await fxService.getConverter(req.query.currency);
 
       console.log('🏥 Calculating portfolio health for:', address);
 
@@ -162,8 +170,9 @@ export class AnalysisController {
         healthScore: Math.round(healthScore),
         healthLevel: this.getHealthLevel(healthScore),
         riskScore,
+        ...currencyFields(fx),
         metrics: {
-          totalValue,
+          totalValue: fx.convert(totalValue),
           tokenCount: tokens.length,
           diversificationScore: this.calculateDiversificationScore(tokens),
           stabilityScore: this.calculateStabilityScore(tokens),
@@ -235,6 +244,22 @@ export class AnalysisController {
 
   // ==================== HELPER METHODS ====================
 
+  /**
+   * Convert the USD amounts in AI live market data (the *USD fields stay as they are)
+   */
+  convertLiveData(liveData, fx) {
+    if (!liveData) return liveData;
+
+    return {
+      ...liveData,
+      btcPrice: fx.convert(liveData.btcPrice),
+      ethPrice: fx.convert(liveData.ethPrice),
+      usdtPrice: fx.convert(liveData.usdtPrice),
+      auraPrice: fx.convert(liveData.auraPrice),
+      marketCap: fx.convert(liveData.marketCapUSD ?? null)
+    };
+  }
+
   getTransactionRecommendation(riskAssessment) {
     switch (riskAssessment.level) {
       case 'CRITICAL':
@@ -350,7 +375,7 @@ export class AnalysisController {
     let stableValue = 0;
 
     tokens.forEach(token => {
-      if (this.isStableAsset(token.symbol)) {
+      if (this.riskAnalyzer.isStablecoin(token)) {
         stableValue += token.valueUSD;
       }
     });
@@ -371,11 +396,6 @@ export class AnalysisController {
     return Math.max(0, Math.min(100, score));
   }
 
-  isStableAsset(symbol) {
-    const stables = ['USDC', 'USDT', 'DAI', 'BTC', 'ETH'];
-    return stables.includes(symbol.toUpperCase());
-  }
-
   getHealthActionItems(healthScore, riskScore, marketContext) {
     const items = [];
 
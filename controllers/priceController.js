@@ -0,0 +1,80 @@
+// controllers/priceController.js - Token price lookups
+import { AuraService } from '../services/auraService.js';
+import { priceHistoryService } from '../services/priceHistoryService.js';
+import { fxService, currencyFields } from '../services/fxService.js';
+
+export class PriceController {
+  constructor() {
+    this.auraService = new AuraService();
+    this.priceHistory = priceHistoryService;
+  }
+
+  /**
+   * GET /api/prices?symbols=ETH,BTC,LINK&vs=usd (`currency` works as an alias of `vs`)
+   */
+  getPrices = async (req, res, next) => {
+    try {
+      // Query is validated by validatePriceQuery
+      const symbols = req.query.symbols.split(',').map(symbol => symbol.trim()).filter(Boolean);
+      const fx = await fxService.getConverter(req.query.currency || req.query.vs);
+
+      const { prices, missing, ambiguous } = await this.auraService.getTokenPrices(symbols);
+
+      res.json({
+        vs: fx.currency.toLowerCase(),
+        ...currencyFields(fx),
+        prices: Object.fromEntries(
+          Object.entries(prices).map(([symbol, priceData]) => [symbol, {
+            price: fx.convert(priceData.current),
+            change24h: priceData.change24h,
+            marketCap: fx.convert(priceData.marketCap),
+            volume24h: fx.convert(priceData.volume24h),
+            source: priceData.source
+          }])
+        ),
+        missing,
+        ambiguous,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  /**
+   * GET /api/prices/:symbol/history?range=7d&interval=1h
+   */
+  getHistory = async (req, res, next) => {
+    try {
+      // Params are validated by validatePriceHistoryQuery
+      const { symbol } = req.params;
+      const { range = '7d', interval = '1h' } = req.query;
+
+      const fx = await fxService.getConverter(req.query.currency || req.query.vs);
+      const history = await this.priceHistory.getCandles(symbol, { range, interval });
+
+      if (history.candles.length === 0) {
+        return res.status(404).json({
+          error: `No price history available for ${history.symbol}`
+        });
+      }
+
+      // History is kept in USD; non-USD candles use today's FX rate
+      res.json({
+        ...history,
+        vs: fx.currency.toLowerCase(),
+        ...currencyFields(fx),
+        candles: history.candles.map(candle => ({
+          ...candle,
+          open: fx.convert(candle.open),
+          high: fx.convert(candle.high),
+          low: fx.convert(candle.low),
+          close: fx.convert(candle.close)
+        })),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+}
@@ -2,14 +2,15 @@
 import { AuraService } from '../services/auraService.js';
 import { AIService } from '../services/aiService.js';
 import { RiskAnalyzer } from '../services/riskAnalyzer.js';
-import { CacheService } from '../services/cacheService.js';
+import { cache } from '../services/cacheService.js';
+import { fxService, currencyFields } from '../services/fxService.js';
 
 export class WalletController {
   constructor() {
     this.auraService = new AuraService();
     this.aiService = new AIService();
     this.riskAnalyzer = new RiskAnalyzer();
-    this.cache = new CacheService();
+    this.cache = cache;
   }
 
   /**
@@ -36,9 +37,11 @@ export class WalletController {
   getWalletOverview = async (req, res, next) => {
     try {
       const { address } = req.params;
+      const fx = await fxService.getConverter(req.query.currency);
 
+      // Overviews are cached in USD and converted per request
       const cached = await this.cache.get(`wallet:${address}`);
-      if (cached) return res.json({ ...cached, cached: true });
+      if (cached) return res.json({ ...this.convertOverview(cached, fx), cached: true });
 
       const walletData = await this.auraService.getWalletData(address);
       const tokens = await this.auraService.getTokenBalances(address);
@@ -55,7 +58,7 @@ export class WalletController {
       };
 
       await this.cache.set(`wallet:${address}`, overview, 300);
-      res.json(overview);
+      res.json(this.convertOverview(overview, fx));
     } catch (error) {
       next(error);
     }
@@ -67,22 +70,29 @@ export class WalletController {
   getTokenHoldings = async (req, res, next) => {
     try {
       const { address } = req.params;
+      const fx = await fxService.getConverter(req.query.currency);
       const tokens = await this.auraService.getTokenBalances(address);
 
-      const enrichedTokens = await Promise.all(
-        tokens.map(async (token) => {
-          const priceData = await this.auraService.getTokenPrice(token.symbol);
-          return {
-            ...token,
-            price: priceData.current,
-            change24h: priceData.change24h,
-            marketCap: priceData.marketCap
-          };
-        })
-      );
+      // One batched price lookup for every held token
+      const { prices } = await this.auraService.getTokenPrices(tokens.map(({ symbol, contractAddress }) => ({
+        symbol,
+        contractAddress
+      })));
+
+      const enrichedTokens = tokens.map((token) => {
+        const priceData = prices[token.symbol.toUpperCase()];
+        return {
+          ...token,
+          value: fx.convert(token.valueUSD),
+          price: fx.convert(priceData?.current ?? null),
+          change24h: priceData?.change24h ?? null,
+          marketCap: fx.convert(priceData?.marketCap ?? null)
+        };
+      });
 
       res.json({
         address,
+        ...currencyFields(fx),
         tokens: enrichedTokens,
         totalTokens: enrichedTokens.length
       });
@@ -196,6 +206,18 @@ analyzeWallet = async (req, res, next) => {
     }
   };
 
+  /**
+   * 💱 USD overview → requested currency (valueUSD is kept alongside value)
+   */
+  convertOverview(overview, fx) {
+    return {
+      ...overview,
+      ...currencyFields(fx),
+      totalValue: fx.convert(overview.totalValue),
+      tokens: overview.tokens.map(token => ({ ...token, value: fx.convert(token.valueUSD) }))
+    };
+  }
+
   /**
    * 🧠 Combine insights (AURA + Risk + AI)
    */
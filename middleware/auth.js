@@ -0,0 +1,30 @@
+// middleware/auth.js - Operator authentication for admin routes
+import crypto from 'crypto';
+import { UnauthorizedError, ServiceUnavailableError } from '../utils/errors.js';
+
+const sameToken = (given, expected) => {
+  const a = Buffer.from(given);
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+/**
+ * Requires ADMIN_API_TOKEN as `X-Admin-Token: <token>` or `Authorization: Bearer <token>`.
+ * Admin routes are disabled while ADMIN_API_TOKEN is not set.
+ */
+export const requireAdmin = (req, res, next) => {
+  const expected = process.env.ADMIN_API_TOKEN;
+  if (!expected) {
+    return next(new ServiceUnavailableError('Admin API is disabled (ADMIN_API_TOKEN is not set)'));
+  }
+
+  const bearer = req.get('authorization')?.match(/^Bearer\s+(.+)$/i)?.[1];
+  const token = req.get('x-admin-token') || bearer;
+
+  if (!token || !sameToken(token, expected)) {
+    console.warn(`⚠️ Rejected admin request ${req.method} ${req.originalUrl} from ${req.ip}`);
+    return next(new UnauthorizedError());
+  }
+
+  next();
+};
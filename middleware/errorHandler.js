@@ -1,16 +1,20 @@
 // middleware/errorHandler.js - Global error handling
+import { rejectWithDetails } from './validators.js';
+
 export const errorHandler = (err, req, res, next) => {
   console.error('Error:', err);
 
+  // Same body as the validation middleware: { error: 'Validation failed', details }
+  if (err.name === 'ValidationError') {
+    return rejectWithDetails(res, err.details?.length ? err.details : [{ field: 'body', message: err.message }]);
+  }
+
   // Default error
   let statusCode = err.statusCode || 500;
   let message = err.message || 'Internal server error';
 
   // Handle specific error types
-  if (err.name === 'ValidationError') {
-    statusCode = 400;
-    message = 'Validation failed: ' + err.message;
-  } else if (err.name === 'UnauthorizedError') {
+  if (err.name === 'UnauthorizedError') {
     statusCode = 401;
     message = 'Unauthorized access';
   } else if (err.code === 'ECONNREFUSED') {
@@ -23,6 +27,7 @@ export const errorHandler = (err, req, res, next) => {
       message,
       status: statusCode,
       timestamp: new Date().toISOString(),
+      ...(err.details?.length && { details: err.details }),
       ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
     }
   });
@@ -1,4 +1,9 @@
 // middleware/validators.js - Input validation
+import { getUrlSafetyError } from '../utils/network.js';
+
+// Basic validation - adjust regex based on AURA's address format
+const ADDRESS_REGEX = /^(0x)?[0-9a-fA-F]{40}$/;
+
 export const validateWalletAddress = (req, res, next) => {
   const { address } = req.params;
   
@@ -8,10 +13,7 @@ export const validateWalletAddress = (req, res, next) => {
     });
   }
 
-  // Basic validation - adjust regex based on AURA's address format
-  const addressRegex = /^(0x)?[0-9a-fA-F]{40}$/;
-  
-  if (!addressRegex.test(address)) {
+  if (!ADDRESS_REGEX.test(address)) {
     return res.status(400).json({
       error: 'Invalid wallet address format'
     });
@@ -36,4 +38,579 @@ export const validateSwapParams = (req, res, next) => {
   }
 
   next();
-};
\ No newline at end of file
+};
+
+// ==================== ALERTS ====================
+
+export const ALERT_MODES = ['ONE_SHOT', 'RECURRING'];
+// Fields that can be changed through PATCH /api/alerts/:alertId
+export const EDITABLE_ALERT_FIELDS = [
+  'condition', 'value', 'token', 'targets', 'params', 'direction', 'counterparties', 'mode', 'cooldownSeconds',
+  'channels', 'email', 'chatWebhookUrl', 'chatFormat'
+];
+export const RISK_LEVELS = ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL'];
+const COMPOSITE_OPERATORS = ['AND', 'OR'];
+const MAX_EXPRESSION_DEPTH = 3;
+const MAX_EXPRESSION_PREDICATES = 10;
+
+// Value rules: return an error message, or null when valid.
+// Rules flagged `optional` accept a missing value.
+const optional = (rule) => Object.assign((value) => rule(value), { optional: true });
+const noValue = optional(() => null);
+const numberBetween = (min, max = Infinity) => (value) => {
+  if (typeof value !== 'number' || !Number.isFinite(value)) return 'Value must be a number';
+  if (value < min || value > max) {
+    return max === Infinity ? `Value must be >= ${min}` : `Value must be between ${min} and ${max}`;
+  }
+  return null;
+};
+const oneOf = (options) => (value) =>
+  options.includes(value) ? null : `Value must be one of: ${options.join(', ')}`;
+
+// Indicator settings for technical PRICE conditions
+const INDICATOR_PARAMS = {
+  fastPeriod: [2, 200],
+  slowPeriod: [2, 200],
+  period: [2, 200],
+  stdDev: [0.5, 5]
+};
+
+const validateIndicatorParams = (alert, field) => {
+  const { params } = alert;
+  if (params === undefined) return [];
+
+  if (!params || typeof params !== 'object' || Array.isArray(params)) {
+    return [{ field: field('params'), message: 'params must be an object' }];
+  }
+
+  const details = [];
+  Object.entries(params).forEach(([name, value]) => {
+    const range = INDICATOR_PARAMS[name];
+    if (!range) {
+      details.push({ field: field(`params.${name}`), message: `Unknown parameter, expected one of: ${Object.keys(INDICATOR_PARAMS).join(', ')}` });
+    } else if (typeof value !== 'number' || value < range[0] || value > range[1] ||
+               (name !== 'stdDev' && !Number.isInteger(value))) {
+      details.push({ field: field(`params.${name}`), message: `Must be a number between ${range[0]} and ${range[1]}` });
+    }
+  });
+
+  if (params.fastPeriod !== undefined && params.slowPeriod !== undefined && params.fastPeriod >= params.slowPeriod) {
+    details.push({ field: field('params.fastPeriod'), message: 'fastPeriod must be smaller than slowPeriod' });
+  }
+
+  return details;
+};
+
+// Transfer watch options for TRANSACTION / TRANSFER
+const TRANSFER_DIRECTIONS = ['IN', 'OUT', 'ANY'];
+
+const validateTransferWatch = (alert, field) => {
+  if (alert.condition !== 'TRANSFER') return [];
+  const details = [];
+
+  if (alert.direction !== undefined && !TRANSFER_DIRECTIONS.includes(alert.direction)) {
+    details.push({ field: field('direction'), message: `Direction must be one of: ${TRANSFER_DIRECTIONS.join(', ')}` });
+  }
+  if (alert.token !== undefined && (typeof alert.token !== 'string' || !alert.token.trim())) {
+    details.push({ field: field('token'), message: 'Token filter must be a symbol' });
+  }
+
+  const { counterparties } = alert;
+  if (counterparties !== undefined) {
+    if (!counterparties || typeof counterparties !== 'object' || Array.isArray(counterparties)) {
+      details.push({ field: field('counterparties'), message: 'counterparties must be an object with allow/deny lists' });
+      return details;
+    }
+    ['allow', 'deny'].forEach(list => {
+      const entries = counterparties[list];
+      if (entries === undefined) return;
+      if (!Array.isArray(entries) || entries.some(entry => typeof entry !== 'string' || !ADDRESS_REGEX.test(entry))) {
+        details.push({ field: field(`counterparties.${list}`), message: 'Must be an array of wallet addresses' });
+      }
+    });
+  }
+
+  return details;
+};
+
+// Target allocation map for ALLOCATION_DRIFT, e.g. { ETH: 40, USDC: 30 }
+const validateTargets = (alert, field) => {
+  const { targets } = alert;
+
+  if (!targets || typeof targets !== 'object' || Array.isArray(targets) || Object.keys(targets).length === 0) {
+    return [{ field: field('targets'), message: 'targets must be a map of token symbol to target percentage' }];
+  }
+
+  const details = [];
+  Object.entries(targets).forEach(([symbol, percent]) => {
+    if (typeof percent !== 'number' || !Number.isFinite(percent) || percent < 0 || percent > 100) {
+      details.push({ field: field(`targets.${symbol}`), message: 'Target must be a percentage between 0 and 100' });
+    }
+  });
+
+  const total = Object.values(targets).reduce((sum, percent) => sum + (Number(percent) || 0), 0);
+  if (total > 100) {
+    details.push({ field: field('targets'), message: `Targets add up to ${total}%, maximum is 100%` });
+  }
+
+  return details;
+};
+
+/**
+ * Supported conditions per alert type, with the value rule for each condition
+ */
+export const ALERT_SCHEMAS = {
+  PRICE: {
+    requiresToken: true,
+    conditions: {
+      ABOVE: numberBetween(0),
+      BELOW: numberBetween(0),
+      CHANGE_UP: numberBetween(0),
+      CHANGE_DOWN: numberBetween(0),
+      // Indicator conditions, computed from the rolling price series
+      SMA_CROSS_UP: noValue, // params: fastPeriod (5), slowPeriod (20)
+      SMA_CROSS_DOWN: noValue,
+      RSI_OVERBOUGHT: optional(numberBetween(0, 100)), // value: threshold (70), params: period (14)
+      RSI_OVERSOLD: optional(numberBetween(0, 100)), // value: threshold (30)
+      BOLLINGER_BREAK_UP: noValue, // params: period (20), stdDev (2)
+      BOLLINGER_BREAK_DOWN: noValue
+    },
+    validateFields: validateIndicatorParams
+  },
+  RISK: {
+    conditions: {
+      EXCEEDS: numberBetween(0, 100),
+      BELOW: numberBetween(0, 100),
+      LEVEL: oneOf(RISK_LEVELS)
+    }
+  },
+  BALANCE: {
+    requiresToken: true,
+    conditions: {
+      ABOVE: numberBetween(0),
+      BELOW: numberBetween(0)
+    }
+  },
+  TRANSACTION: {
+    conditions: {
+      RISKY: noValue,
+      TRANSFER: optional(numberBetween(0)) // value: minimum USD amount
+    },
+    validateFields: validateTransferWatch
+  },
+  PORTFOLIO_VALUE: {
+    conditions: {
+      ABOVE: numberBetween(0), // total USD value
+      BELOW: numberBetween(0),
+      CHANGE_UP: numberBetween(0), // % change since alert creation
+      CHANGE_DOWN: numberBetween(0)
+    }
+  },
+  ALLOCATION_DRIFT: {
+    conditions: {
+      EXCEEDS: numberBetween(0, 100) // percentage points away from target
+    },
+    validateFields: validateTargets
+  },
+  COMPOSITE: {
+    expression: true
+  }
+};
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MAX_WEBHOOK_SECRET_LENGTH = 256;
+const CHAT_FORMATS = ['slack', 'discord'];
+
+/**
+ * Field-level errors for an alert definition ({ type, condition, value, token, expression })
+ * @returns {Array<{field: string, message: string}>}
+ */
+export const getAlertValidationErrors = (alert, prefix = '') => {
+  const details = [];
+  const field = (name) => (prefix ? `${prefix}.${name}` : name);
+
+  const schema = ALERT_SCHEMAS[alert.type];
+  if (!schema) {
+    details.push({ field: field('type'), message: `Type must be one of: ${Object.keys(ALERT_SCHEMAS).join(', ')}` });
+    return details;
+  }
+
+  if (schema.expression) {
+    return getExpressionErrors(alert.expression, field('expression'));
+  }
+
+  const validateValue = schema.conditions[alert.condition];
+  if (!validateValue) {
+    details.push({
+      field: field('condition'),
+      message: `${alert.type} condition must be one of: ${Object.keys(schema.conditions).join(', ')}`
+    });
+  } else if (alert.value === undefined || alert.value === null) {
+    if (!validateValue.optional) details.push({ field: field('value'), message: 'Value is required' });
+  } else {
+    const message = validateValue(alert.value);
+    if (message) details.push({ field: field('value'), message });
+  }
+
+  if (schema.requiresToken && (typeof alert.token !== 'string' || !alert.token.trim())) {
+    details.push({ field: field('token'), message: `Token is required for ${alert.type} alerts` });
+  }
+
+  if (schema.validateFields) {
+    details.push(...schema.validateFields(alert, field));
+  }
+
+  return details;
+};
+
+/**
+ * Field-level errors for a COMPOSITE expression tree
+ */
+const getExpressionErrors = (expression, path) => {
+  const details = [];
+  let predicates = 0;
+
+  const visit = (node, nodePath, depth) => {
+    if (!node || typeof node !== 'object' || Array.isArray(node)) {
+      details.push({ field: nodePath, message: 'Expression node must be an object' });
+      return;
+    }
+
+    if (node.operator === undefined) {
+      predicates++;
+      if (node.type === 'COMPOSITE') {
+        details.push({ field: `${nodePath}.type`, message: 'Use a nested group instead of a COMPOSITE condition' });
+        return;
+      }
+      details.push(...getAlertValidationErrors(node, nodePath));
+      return;
+    }
+
+    if (!COMPOSITE_OPERATORS.includes(node.operator)) {
+      details.push({ field: `${nodePath}.operator`, message: `Operator must be one of: ${COMPOSITE_OPERATORS.join(', ')}` });
+    }
+    if (depth >= MAX_EXPRESSION_DEPTH) {
+      details.push({ field: nodePath, message: `Expression nesting is limited to ${MAX_EXPRESSION_DEPTH} levels` });
+      return;
+    }
+    if (!Array.isArray(node.conditions) || node.conditions.length < 2) {
+      details.push({ field: `${nodePath}.conditions`, message: 'A group needs at least 2 conditions' });
+      return;
+    }
+    node.conditions.forEach((child, i) => visit(child, `${nodePath}.conditions[${i}]`, depth + 1));
+  };
+
+  visit(expression, path, 0);
+
+  if (predicates > MAX_EXPRESSION_PREDICATES) {
+    details.push({ field: path, message: `Expressions are limited to ${MAX_EXPRESSION_PREDICATES} conditions` });
+  }
+
+  return details;
+};
+
+/**
+ * Field-level errors for alert options shared by create and update
+ */
+const getAlertOptionErrors = ({
+  mode, cooldownSeconds, webhookUrl, webhookSecret, channels, email, chatWebhookUrl, chatFormat
+}) => {
+  const details = [];
+
+  if (mode !== undefined && !ALERT_MODES.includes(mode)) {
+    details.push({ field: 'mode', message: `Mode must be one of: ${ALERT_MODES.join(', ')}` });
+  }
+  if (cooldownSeconds !== undefined &&
+      (typeof cooldownSeconds !== 'number' || !Number.isFinite(cooldownSeconds) || cooldownSeconds < 0)) {
+    details.push({ field: 'cooldownSeconds', message: 'cooldownSeconds must be a non-negative number' });
+  }
+  const webhookUrlError = webhookUrl !== undefined && getUrlSafetyError(webhookUrl);
+  if (webhookUrlError) {
+    details.push({ field: 'webhookUrl', message: `webhookUrl ${webhookUrlError}` });
+  }
+  if (webhookSecret !== undefined &&
+      (typeof webhookSecret !== 'string' || webhookSecret.length === 0 || webhookSecret.length > MAX_WEBHOOK_SECRET_LENGTH)) {
+    details.push({ field: 'webhookSecret', message: `webhookSecret must be a string of 1 to ${MAX_WEBHOOK_SECRET_LENGTH} characters` });
+  }
+  if (channels !== undefined &&
+      (!Array.isArray(channels) || !channels.every(name => typeof name === 'string' && name.length > 0))) {
+    details.push({ field: 'channels', message: 'channels must be an array of channel names' });
+  }
+  if (email !== undefined && (typeof email !== 'string' || !EMAIL_REGEX.test(email))) {
+    details.push({ field: 'email', message: 'email must be a valid email address' });
+  }
+  const chatWebhookUrlError = chatWebhookUrl !== undefined && getUrlSafetyError(chatWebhookUrl);
+  if (chatWebhookUrlError) {
+    details.push({ field: 'chatWebhookUrl', message: `chatWebhookUrl ${chatWebhookUrlError}` });
+  }
+  if (chatFormat !== undefined && !CHAT_FORMATS.includes(chatFormat)) {
+    details.push({ field: 'chatFormat', message: `chatFormat must be one of: ${CHAT_FORMATS.join(', ')}` });
+  }
+
+  return details;
+};
+
+// Also used by errorHandler for ValidationErrors thrown by services, so every 400 looks the same
+export const rejectWithDetails = (res, details) => res.status(400).json({
+  error: 'Validation failed',
+  details
+});
+
+export const validateAlertCreate = (req, res, next) => {
+  const body = req.body || {};
+  const details = [];
+
+  if (!body.address) {
+    details.push({ field: 'address', message: 'Wallet address is required' });
+  } else if (!ADDRESS_REGEX.test(body.address)) {
+    details.push({ field: 'address', message: 'Invalid wallet address format' });
+  }
+
+  if (!body.type) {
+    details.push({ field: 'type', message: 'Alert type is required' });
+  } else {
+    details.push(...getAlertValidationErrors(body));
+  }
+
+  details.push(...getAlertOptionErrors(body));
+
+  if (details.length > 0) return rejectWithDetails(res, details);
+
+  next();
+};
+
+export const validateAlertUpdate = (req, res, next) => {
+  const body = req.body || {};
+
+  if (EDITABLE_ALERT_FIELDS.every(field => body[field] === undefined)) {
+    return rejectWithDetails(res, [{
+      field: 'body',
+      message: `Provide at least one of: ${EDITABLE_ALERT_FIELDS.join(', ')}`
+    }]);
+  }
+
+  // condition/value/token are checked against the alert type by AlertService.updateAlert
+  const details = getAlertOptionErrors(body);
+  if (details.length > 0) return rejectWithDetails(res, details);
+
+  next();
+};
+
+// ==================== NOTIFICATION PREFERENCES ====================
+
+const SEVERITY_LEVELS = ['low', 'medium', 'high', 'critical'];
+const DIGEST_INTERVALS = ['hourly', 'daily'];
+const TIME_REGEX = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-GB', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+export const validateNotificationPreferences = (req, res, next) => {
+  const { timezone, quietHours, minImmediateSeverity, digestInterval } = req.body || {};
+  const details = [];
+
+  if ([timezone, quietHours, minImmediateSeverity, digestInterval].every(field => field === undefined)) {
+    return rejectWithDetails(res, [{
+      field: 'body',
+      message: 'Provide at least one of: timezone, quietHours, minImmediateSeverity, digestInterval'
+    }]);
+  }
+
+  if (timezone !== undefined && (typeof timezone !== 'string' || !isValidTimezone(timezone))) {
+    details.push({ field: 'timezone', message: 'Timezone must be an IANA name, e.g. Europe/Berlin' });
+  }
+  if (quietHours !== undefined && quietHours !== null) {
+    if (typeof quietHours !== 'object' || !TIME_REGEX.test(quietHours.start) || !TIME_REGEX.test(quietHours.end)) {
+      details.push({ field: 'quietHours', message: 'quietHours must be { start: "HH:MM", end: "HH:MM" } or null' });
+    }
+  }
+  if (minImmediateSeverity !== undefined && !SEVERITY_LEVELS.includes(minImmediateSeverity)) {
+    details.push({ field: 'minImmediateSeverity', message: `Severity must be one of: ${SEVERITY_LEVELS.join(', ')}` });
+  }
+  if (digestInterval !== undefined && !DIGEST_INTERVALS.includes(digestInterval)) {
+    details.push({ field: 'digestInterval', message: `Digest interval must be one of: ${DIGEST_INTERVALS.join(', ')}` });
+  }
+
+  if (details.length > 0) return rejectWithDetails(res, details);
+
+  next();
+};
+
+// ==================== CURRENCY ====================
+
+// Fiat currencies values can be reported in (USD amounts are converted via FX rates)
+export const SUPPORTED_CURRENCIES = ['usd', 'eur', 'gbp', 'chf', 'jpy', 'cad', 'aud'];
+
+/**
+ * `currency` (or its alias `vs` on price endpoints) must be a supported fiat code
+ */
+const getCurrencyErrors = (query, fields = ['currency']) => fields
+  .filter(field => query[field] !== undefined && !SUPPORTED_CURRENCIES.includes(String(query[field]).toLowerCase()))
+  .map(field => ({ field, message: `${field} must be one of: ${SUPPORTED_CURRENCIES.join(', ')}` }));
+
+export const validateCurrency = (req, res, next) => {
+  const details = getCurrencyErrors(req.query);
+  if (details.length > 0) return rejectWithDetails(res, details);
+
+  next();
+};
+
+// ==================== PRICES ====================
+
+const SYMBOL_REGEX = /^[A-Za-z0-9.-]{1,20}$/;
+const MAX_PRICE_SYMBOLS = 50;
+
+export const validatePriceQuery = (req, res, next) => {
+  const { symbols } = req.query;
+  const details = getCurrencyErrors(req.query, ['currency', 'vs']);
+
+  const list = typeof symbols === 'string'
+    ? symbols.split(',').map(symbol => symbol.trim()).filter(Boolean)
+    : [];
+
+  if (list.length === 0) {
+    details.push({ field: 'symbols', message: 'symbols is required, e.g. ?symbols=ETH,BTC' });
+  } else if (list.length > MAX_PRICE_SYMBOLS) {
+    details.push({ field: 'symbols', message: `At most ${MAX_PRICE_SYMBOLS} symbols per request` });
+  } else {
+    list.filter(symbol => !SYMBOL_REGEX.test(symbol)).forEach(symbol => {
+      details.push({ field: 'symbols', message: `Invalid symbol '${symbol}'` });
+    });
+  }
+
+  if (details.length > 0) return rejectWithDetails(res, details);
+
+  next();
+};
+
+// Ranges/intervals for GET /api/prices/:symbol/history (milliseconds)
+export const PRICE_HISTORY_RANGES = {
+  '1d': 24 * 60 * 60 * 1000,
+  '7d': 7 * 24 * 60 * 60 * 1000,
+  '30d': 30 * 24 * 60 * 60 * 1000,
+  '90d': 90 * 24 * 60 * 60 * 1000,
+  '1y': 365 * 24 * 60 * 60 * 1000
+};
+export const PRICE_HISTORY_INTERVALS = {
+  '5m': 5 * 60 * 1000,
+  '15m': 15 * 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '4h': 4 * 60 * 60 * 1000,
+  '1d': 24 * 60 * 60 * 1000
+};
+const MAX_HISTORY_CANDLES = 1000;
+
+export const validatePriceHistoryQuery = (req, res, next) => {
+  const { symbol } = req.params;
+  const { range = '7d', interval = '1h' } = req.query;
+  const details = getCurrencyErrors(req.query, ['currency', 'vs']);
+
+  if (!SYMBOL_REGEX.test(symbol)) {
+    details.push({ field: 'symbol', message: `Invalid symbol '${symbol}'` });
+  }
+  if (!PRICE_HISTORY_RANGES[range]) {
+    details.push({ field: 'range', message: `range must be one of: ${Object.keys(PRICE_HISTORY_RANGES).join(', ')}` });
+  }
+  if (!PRICE_HISTORY_INTERVALS[interval]) {
+    details.push({ field: 'interval', message: `interval must be one of: ${Object.keys(PRICE_HISTORY_INTERVALS).join(', ')}` });
+  }
+  if (details.length === 0 && PRICE_HISTORY_RANGES[range] / PRICE_HISTORY_INTERVALS[interval] > MAX_HISTORY_CANDLES) {
+    details.push({ field: 'interval', message: `range ${range} with interval ${interval} exceeds ${MAX_HISTORY_CANDLES} candles` });
+  }
+
+  if (details.length > 0) return rejectWithDetails(res, details);
+
+  next();
+};
+
+// ==================== CACHE ADMIN ====================
+
+const MAX_CACHE_KEY_LENGTH = 500;
+const MAX_CACHE_KEYS_LIMIT = 1000;
+
+export const validateCacheKeysQuery = (req, res, next) => {
+  const { prefix, limit } = req.query;
+  const details = [];
+
+  if (prefix !== undefined && (typeof prefix !== 'string' || prefix.length > MAX_CACHE_KEY_LENGTH)) {
+    details.push({ field: 'prefix', message: `prefix must be a string of at most ${MAX_CACHE_KEY_LENGTH} characters` });
+  }
+  if (limit !== undefined) {
+    const parsed = Number(limit);
+    if (!Number.isInteger(parsed) || parsed < 1 || parsed > MAX_CACHE_KEYS_LIMIT) {
+      details.push({ field: 'limit', message: `limit must be an integer between 1 and ${MAX_CACHE_KEYS_LIMIT}` });
+    }
+  }
+
+  if (details.length > 0) return rejectWithDetails(res, details);
+
+  next();
+};
+
+/**
+ * Invalidation needs an explicit prefix so the whole cache isn't wiped by accident
+ */
+export const validateCacheInvalidation = (req, res, next) => {
+  const { prefix } = req.query;
+
+  if (typeof prefix !== 'string' || prefix.length === 0 || prefix.length > MAX_CACHE_KEY_LENGTH) {
+    return rejectWithDetails(res, [{
+      field: 'prefix',
+      message: 'prefix is required, e.g. ?prefix=wallet: (use DELETE /api/admin/cache/keys/:key for a single key)'
+    }]);
+  }
+
+  next();
+};
+
+// ==================== TOKEN CLASSIFICATIONS ====================
+
+export const TOKEN_CATEGORIES = ['stablecoin', 'bluechip', 'altcoin', 'memecoin'];
+export const LIQUIDITY_TIERS = ['high', 'medium', 'low'];
+// EVM addresses and base58 mints/program ids (e.g. Solana)
+const CONTRACT_REGEX = /^(0x[0-9a-fA-F]{40}|[1-9A-HJ-NP-Za-km-z]{32,44})$/;
+const CHAIN_REGEX = /^[a-z0-9-]{1,40}$/;
+
+export const validateTokenClassification = (req, res, next) => {
+  const { symbol, name, category, chain, contractAddress, liquidityTier } = req.body || {};
+  const details = [];
+
+  if (typeof symbol !== 'string' || !SYMBOL_REGEX.test(symbol)) {
+    details.push({ field: 'symbol', message: 'symbol is required (letters, digits, . or -, up to 20 characters)' });
+  }
+  if (name !== undefined && name !== null && (typeof name !== 'string' || name.length > 100)) {
+    details.push({ field: 'name', message: 'name must be a string of at most 100 characters' });
+  }
+  if (!TOKEN_CATEGORIES.includes(category)) {
+    details.push({ field: 'category', message: `category must be one of: ${TOKEN_CATEGORIES.join(', ')}` });
+  }
+  if (!LIQUIDITY_TIERS.includes(liquidityTier)) {
+    details.push({ field: 'liquidityTier', message: `liquidityTier must be one of: ${LIQUIDITY_TIERS.join(', ')}` });
+  }
+  if (chain !== undefined && chain !== null && (typeof chain !== 'string' || !CHAIN_REGEX.test(chain.toLowerCase()))) {
+    details.push({ field: 'chain', message: 'chain must be a chain id such as ethereum, polygon-pos or solana' });
+  }
+  if (contractAddress !== undefined && contractAddress !== null
+    && (typeof contractAddress !== 'string' || !CONTRACT_REGEX.test(contractAddress))) {
+    details.push({ field: 'contractAddress', message: 'Invalid contract address format' });
+  }
+
+  if (details.length > 0) return rejectWithDetails(res, details);
+
+  next();
+};
+
+export const validateTokenCategoryQuery = (req, res, next) => {
+  const { category } = req.query;
+  if (category !== undefined && !TOKEN_CATEGORIES.includes(category)) {
+    return rejectWithDetails(res, [{ field: 'category', message: `category must be one of: ${TOKEN_CATEGORIES.join(', ')}` }]);
+  }
+
+  next();
+};
@@ -0,0 +1,83 @@
+// routes/admin.js - Operator-only endpoints (require ADMIN_API_TOKEN)
+import express from 'express';
+import { AdminController } from '../controllers/adminController.js';
+import { requireAdmin } from '../middleware/auth.js';
+import {
+  validateCacheKeysQuery,
+  validateCacheInvalidation,
+  validateTokenClassification,
+  validateTokenCategoryQuery
+} from '../middleware/validators.js';
+
+const router = express.Router();
+const adminController = new AdminController();
+
+router.use(requireAdmin);
+
+/**
+ * GET /api/admin/cache/stats
+ * Backend, hit/miss counters and per-namespace figures
+ */
+router.get('/cache/stats', adminController.getCacheStats);
+
+/**
+ * GET /api/admin/cache/keys?prefix=wallet:&limit=100
+ * Cached keys (optionally by namespace/prefix) with TTL remaining
+ */
+router.get('/cache/keys',
+  validateCacheKeysQuery,
+  adminController.listCacheKeys
+);
+
+/**
+ * DELETE /api/admin/cache/keys?prefix=price:
+ * Invalidate every key starting with a prefix
+ */
+router.delete('/cache/keys',
+  validateCacheInvalidation,
+  adminController.invalidateCachePrefix
+);
+
+/**
+ * GET /api/admin/cache/keys/:key
+ * Inspect one cached value
+ */
+router.get('/cache/keys/:key', adminController.getCacheEntry);
+
+/**
+ * DELETE /api/admin/cache/keys/:key
+ * Invalidate one key
+ */
+router.delete('/cache/keys/:key', adminController.deleteCacheEntry);
+
+/**
+ * POST /api/admin/cache/market-context/refresh
+ * Reload the AI market context now instead of waiting for it to expire
+ */
+router.post('/cache/market-context/refresh', adminController.refreshMarketContext);
+
+/**
+ * GET /api/admin/tokens?category=stablecoin
+ * Token classifications (built-in + overrides)
+ */
+router.get('/tokens',
+  validateTokenCategoryQuery,
+  adminController.listTokenClassifications
+);
+
+/**
+ * PUT /api/admin/tokens
+ * Add a token classification or override a built-in one
+ */
+router.put('/tokens',
+  validateTokenClassification,
+  adminController.upsertTokenClassification
+);
+
+/**
+ * DELETE /api/admin/tokens/:key
+ * Remove an override (symbol or "<chain>:<contract>")
+ */
+router.delete('/tokens/:key', adminController.deleteTokenClassification);
+
+export default router;
@@ -1,7 +1,12 @@
 // routes/alerts.js - Alert management endpoints
 import express from 'express';
 import { AlertController } from '../controllers/alertController.js';
-import { validateWalletAddress } from '../middleware/validators.js';
+import {
+  validateWalletAddress,
+  validateAlertCreate,
+  validateAlertUpdate,
+  validateNotificationPreferences
+} from '../middleware/validators.js';
 
 const router = express.Router();
 const alertController = new AlertController();
@@ -11,9 +16,18 @@ const alertController = new AlertController();
  * Create a new price or risk alert
  */
 router.post('/create',
+  validateAlertCreate,
   alertController.createAlert
 );
 
+/**
+ * GET /api/alerts/monitoring/stats
+ * Monitoring loop stats (cycle duration, skipped/overrun cycles)
+ */
+router.get('/monitoring/stats',
+  alertController.getMonitoringStats
+);
+
 /**
  * GET /api/alerts/:address
  * Get all alerts for a wallet address
@@ -23,6 +37,31 @@ router.get('/:address',
   alertController.getAlerts
 );
 
+/**
+ * PATCH /api/alerts/:alertId
+ * Update alert value/condition/mode (re-arms the alert)
+ */
+router.patch('/:alertId',
+  validateAlertUpdate,
+  alertController.updateAlert
+);
+
+/**
+ * POST /api/alerts/:alertId/pause
+ * Pause alert evaluation
+ */
+router.post('/:alertId/pause',
+  alertController.pauseAlert
+);
+
+/**
+ * POST /api/alerts/:alertId/resume
+ * Resume a paused alert
+ */
+router.post('/:alertId/resume',
+  alertController.resumeAlert
+);
+
 /**
  * DELETE /api/alerts/:alertId
  * Delete a specific alert
@@ -31,6 +70,14 @@ router.delete('/:alertId',
   alertController.deleteAlert
 );
 
+/**
+ * GET /api/alerts/:alertId/deliveries
+ * Get webhook delivery log (delivered, retrying, dead_letter)
+ */
+router.get('/:alertId/deliveries',
+  alertController.getDeliveries
+);
+
 /**
  * GET /api/alerts/:address/active
  * Get active (triggered) alerts for a wallet
@@ -40,4 +87,68 @@ router.get('/:address/active',
   alertController.getActiveAlerts
 );
 
-export default router;
\ No newline at end of file
+/**
+ * GET /api/alerts/:address/stream
+ * Live alert events via Server-Sent Events (supports Last-Event-ID resume)
+ */
+router.get('/:address/stream',
+  validateWalletAddress,
+  alertController.streamAlerts
+);
+
+/**
+ * GET /api/alerts/:address/notifications
+ * Notification inbox (?page, ?limit, ?severity=high,medium, ?unread=true)
+ */
+router.get('/:address/notifications',
+  validateWalletAddress,
+  alertController.getNotifications
+);
+
+/**
+ * POST /api/alerts/:address/notifications/read-all
+ * Mark every notification as read
+ */
+router.post('/:address/notifications/read-all',
+  validateWalletAddress,
+  alertController.markAllNotificationsRead
+);
+
+/**
+ * POST /api/alerts/:address/notifications/:notificationId/read
+ * Mark a single notification as read
+ */
+router.post('/:address/notifications/:notificationId/read',
+  validateWalletAddress,
+  alertController.markNotificationRead
+);
+
+/**
+ * GET /api/alerts/:address/preferences
+ * Notification preferences (timezone, quiet hours, severity threshold, digest interval)
+ */
+router.get('/:address/preferences',
+  validateWalletAddress,
+  alertController.getPreferences
+);
+
+/**
+ * PUT /api/alerts/:address/preferences
+ * Update notification preferences
+ */
+router.put('/:address/preferences',
+  validateWalletAddress,
+  validateNotificationPreferences,
+  alertController.updatePreferences
+);
+
+/**
+ * GET /api/alerts/:address/digests
+ * Sent notification digests plus notifications waiting for the next one
+ */
+router.get('/:address/digests',
+  validateWalletAddress,
+  alertController.getDigests
+);
+
+export default router;
@@ -1,7 +1,7 @@
 // routes/analysis.js - AI-powered analysis endpoints
 import express from 'express';
 import { AnalysisController } from '../controllers/analysisController.js';
-import { validateWalletAddress, validateSwapParams } from '../middleware/validators.js';
+import { validateWalletAddress, validateSwapParams, validateCurrency } from '../middleware/validators.js';
 
 const router = express.Router();
 const analysisController = new AnalysisController();
@@ -28,6 +28,7 @@ router.post('/transaction-risk',
  * 🎯 ENHANCED: Get current market insights with AI context
  */
 router.get('/market-insights',
+  validateCurrency,
   analysisController.getMarketInsights
 );
 
@@ -37,6 +38,7 @@ router.get('/market-insights',
  */
 router.get('/portfolio-health/:address',
   validateWalletAddress,
+  validateCurrency,
   analysisController.getPortfolioHealth
 );
 
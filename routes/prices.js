@@ -0,0 +1,27 @@
+// routes/prices.js - Token price endpoints
+import express from 'express';
+import { PriceController } from '../controllers/priceController.js';
+import { validatePriceQuery, validatePriceHistoryQuery } from '../middleware/validators.js';
+
+const router = express.Router();
+const priceController = new PriceController();
+
+/**
+ * GET /api/prices?symbols=ETH,BTC,LINK&vs=usd
+ * Prices for many tokens in one request (cached symbols are served from cache)
+ */
+router.get('/',
+  validatePriceQuery,
+  priceController.getPrices
+);
+
+/**
+ * GET /api/prices/:symbol/history?range=7d&interval=1h
+ * OHLC candles (provider history, local heartbeat samples as fallback)
+ */
+router.get('/:symbol/history',
+  validatePriceHistoryQuery,
+  priceController.getHistory
+);
+
+export default router;
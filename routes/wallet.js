@@ -1,31 +1,34 @@
 // routes/wallet.js - Wallet-related API endpoints
 import express from 'express';
 import { WalletController } from '../controllers/walletController.js';
-import { validateWalletAddress } from '../middleware/validators.js';
+import { validateWalletAddress, validateCurrency } from '../middleware/validators.js';
 
 const router = express.Router();
 const walletController = new WalletController();
 
 /**
- * GET /api/wallet/:address
+ * GET /api/wallet/:address?currency=eur
  * Fetch wallet overview including balance, tokens, and basic stats
  */
 router.get('/:address', 
   validateWalletAddress,
+  validateCurrency,
   walletController.getWalletOverview
 );
 
 router.get('/:address/overview',
   validateWalletAddress,
+  validateCurrency,
   walletController.getWalletOverview
 );
 
 /**
- * GET /api/wallet/:address/tokens
+ * GET /api/wallet/:address/tokens?currency=eur
  * Get detailed token holdings for a wallet
  */
 router.get('/:address/tokens',
   validateWalletAddress,
+  validateCurrency,
   walletController.getTokenHoldings
 );
 
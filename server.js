@@ -7,38 +7,53 @@ import rateLimit from 'express-rate-limit';
 import OpenAI from 'openai';
 import os from 'os';
 
-// ✅ ADD THIS IMPORT
-import { CacheService } from './services/cacheService.js';
+import { cache } from './services/cacheService.js';
 
 // Heartbeat
 import { HeartbeatService } from './services/heartbeatService.js';
 
 import { AIService } from "./services/aiService.js";
+import { marketDataService } from './services/marketDataService.js';
+import { tokenRegistry } from './services/tokenRegistry.js';
+import { fxService, currencyFields } from './services/fxService.js';
 
 
 // Route imports
 import walletRoutes from './routes/wallet.js';
 import analysisRoutes from './routes/analysis.js';
 import alertRoutes from './routes/alerts.js';
+import priceRoutes from './routes/prices.js';
+import adminRoutes from './routes/admin.js';
 
 // Middleware imports
 import { errorHandler } from './middleware/errorHandler.js';
 import { requestLogger } from './middleware/logger.js';
+import { validateCurrency } from './middleware/validators.js';
 
 console.log("OpenAI key found:", !!process.env.OPENAI_API_KEY);
 const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-const cache = new CacheService();
 const aiService = new AIService();
 
 const app = express();
 app.set('trust proxy', 1);
 
+// SSE streams are long-lived: they get their own (connection) budget
+// instead of eating into the regular request limit
+const isStreamRequest = (req) => req.path.endsWith('/stream');
+
 // Rate limiting to prevent abuse
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100 // limit each IP to 100 requests per windowMs
+  max: 100, // limit each IP to 100 requests per windowMs
+  skip: isStreamRequest
+});
+const streamLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 30, // limit each IP to 30 stream (re)connections per windowMs
+  skip: (req) => !isStreamRequest(req)
 });
 app.use('/api/', limiter);
+app.use('/api/', streamLimiter);
 
 const PORT = process.env.PORT || 3001;
 
@@ -48,7 +63,9 @@ app.use(helmet());
 // ✅ Allow frontend domain only
 app.use(cors({
   origin: "https://aura-sense-dash.vercel.app",
-  credentials: true
+  credentials: true,
+  // Last-Event-ID lets SSE clients resume the alert stream; X-Admin-Token authenticates /api/admin
+  allowedHeaders: ['Content-Type', 'Authorization', 'Last-Event-ID', 'X-Admin-Token']
 }));
 
 // Body parsing middleware
@@ -60,7 +77,7 @@ app.use(requestLogger);
 
 /**
  * ✅ Health + API status endpoint
- * Shows API key status, cache stats, uptime, and memory usage
+ * Shows API key status, cache stats, market data provider health, uptime, and memory usage
  */
 app.get('/api/status', async (req, res) => {
   try {
@@ -75,13 +92,17 @@ app.get('/api/status', async (req, res) => {
 
     const uptimeMinutes = (process.uptime() / 60).toFixed(1);
     const memory = process.memoryUsage();
+    const cacheStats = await cache.getStats();
 
     res.json({
       status: 'ok',
       environment: process.env.NODE_ENV || 'development',
       keyStatus,
       uptime: `${uptimeMinutes} minutes`,
-      cacheSize: (typeof cache.size === 'function') ? await cache.size() : 'N/A',
+      cacheSize: cacheStats.size,
+      cache: cacheStats,
+      marketData: marketDataService.getHealth(),
+      tokenRegistry: tokenRegistry.getStatus(),
       system: {
         platform: os.platform(),
         cpuCount: os.cpus().length,
@@ -128,11 +149,9 @@ app.get('/api/analysis/test-coingecko', async (req, res) => {
 });
 
 // ✅ Combined Market Status Route
-app.get('/api/status/market', async (req, res) => {
+app.get('/api/status/market', validateCurrency, async (req, res) => {
   try {
-    const aiServiceModule = await import('./services/aiService.js');
-    const { AIService } = aiServiceModule;
-    const aiService = new AIService();
+    const fx = await fxService.getConverter(req.query.currency);
 
     // 1️⃣ Get live context (AURA + CoinGecko + GPT)
     const context = await aiService.getMarketContext();
@@ -140,17 +159,20 @@ app.get('/api/status/market', async (req, res) => {
     // 2️⃣ Build quick summary
     const summary = {
       status: "ok",
+      ...currencyFields(fx),
       sentiment: context.sentiment,
       riskLevel: context.riskLevel,
       advice: context.advice,
       btc: {
-        price: context.liveData?.btcPrice,
+        price: fx.convert(context.liveData?.btcPrice),
         change24h: context.liveData?.btcChange24h,
       },
       eth: {
-        price: context.liveData?.ethPrice,
+        price: fx.convert(context.liveData?.ethPrice),
         change24h: context.liveData?.ethChange24h,
       },
+      marketCap: fx.convert(context.liveData?.marketCapUSD),
+      volume: fx.convert(context.liveData?.volumeUSD),
       marketCapUSD: context.liveData?.marketCapUSD,
       volumeUSD: context.liveData?.volumeUSD,
       btcDominance: context.liveData?.btcDominance,
@@ -163,7 +185,7 @@ app.get('/api/status/market', async (req, res) => {
     res.json(summary);
   } catch (error) {
     console.error("⚠️ /api/status/market failed:", error.message);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       status: "error",
       message: error.message
     });
@@ -194,6 +216,8 @@ app.get("/api/debug/market-source", async (req, res) => {
 app.use('/api/wallet', walletRoutes);
 app.use('/api/analysis', analysisRoutes);
 app.use('/api/alerts', alertRoutes);
+app.use('/api/prices', priceRoutes);
+app.use('/api/admin', adminRoutes);
 
 // 404 handler
 app.use((req, res) => {
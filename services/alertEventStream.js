@@ -0,0 +1,77 @@
+// services/alertEventStream.js - In-process pub/sub for live alert events (SSE)
+import { EventEmitter } from 'events';
+
+const normalizeAddress = (address) => (address || '').toLowerCase();
+
+export class AlertEventStream {
+  constructor({ bufferSize = 100, maxSubscribersPerClient = 5 } = {}) {
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0);
+    this.buffers = new Map();
+    this.subscriberCounts = new Map();
+    this.bufferSize = bufferSize;
+    this.maxSubscribersPerClient = maxSubscribersPerClient;
+    // IDs are "<epoch>-<sequence>": the epoch (process start) keeps them unique across restarts
+    this.epoch = Date.now().toString(36);
+    this.lastEventId = 0;
+  }
+
+  /**
+   * Publish an event for an address. IDs increase monotonically within a
+   * process so clients can resume with Last-Event-ID.
+   */
+  publish(address, event, data) {
+    const key = normalizeAddress(address);
+    const entry = {
+      id: `${this.epoch}-${++this.lastEventId}`,
+      event,
+      data,
+      timestamp: new Date().toISOString()
+    };
+
+    const buffer = this.buffers.get(key) || [];
+    buffer.push(entry);
+    if (buffer.length > this.bufferSize) buffer.shift();
+    this.buffers.set(key, buffer);
+
+    this.emitter.emit(key, entry);
+    return entry;
+  }
+
+  /**
+   * Buffered events newer than lastEventId (for resume). An ID from before a
+   * restart replays everything buffered since the restart.
+   */
+  getEventsSince(address, lastEventId) {
+    const buffer = this.buffers.get(normalizeAddress(address)) || [];
+    const [epoch, sequence] = String(lastEventId).split('-');
+    if (epoch !== this.epoch) return buffer;
+
+    return buffer.filter(entry => Number(entry.id.split('-')[1]) > Number(sequence));
+  }
+
+  /**
+   * Subscribe to live events. Open streams are limited per address and client
+   * (e.g. IP), so one client can't use up another's slots. Returns an
+   * unsubscribe function, or null when the client has too many open streams.
+   */
+  subscribe(address, listener, { clientId = '' } = {}) {
+    const key = normalizeAddress(address);
+    const slotKey = `${key}|${clientId}`;
+    const count = this.subscriberCounts.get(slotKey) || 0;
+    if (count >= this.maxSubscribersPerClient) return null;
+
+    this.subscriberCounts.set(slotKey, count + 1);
+    this.emitter.on(key, listener);
+
+    let active = true;
+    return () => {
+      if (!active) return;
+      active = false;
+      this.emitter.off(key, listener);
+      const remaining = (this.subscriberCounts.get(slotKey) || 1) - 1;
+      if (remaining > 0) this.subscriberCounts.set(slotKey, remaining);
+      else this.subscriberCounts.delete(slotKey);
+    };
+  }
+}
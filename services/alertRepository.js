@@ -0,0 +1,141 @@
+// services/alertRepository.js - Alert storage (in-memory index + JSON file default)
+import { JsonFileStore } from './jsonFileStore.js';
+
+const normalizeAddress = (address) => (address || '').toLowerCase();
+
+/**
+ * In-memory alert repository, indexed by wallet address.
+ * Custom repositories (SQL, Mongo, ...) only need to implement the same async methods.
+ */
+export class AlertRepository {
+  constructor() {
+    this.alerts = new Map();
+    this.byAddress = new Map();
+  }
+
+  /**
+   * Load persisted alerts, returns the number of alerts available
+   */
+  async load() {
+    return this.alerts.size;
+  }
+
+  /**
+   * Store a new alert
+   */
+  async create(alert) {
+    this.index(alert);
+    return alert;
+  }
+
+  /**
+   * Update an existing alert. Alerts deleted in the meantime (e.g. during a
+   * monitoring cycle) are not written back; returns null for them.
+   */
+  async save(alert) {
+    if (!this.alerts.has(alert.id)) return null;
+    this.index(alert);
+    return alert;
+  }
+
+  /**
+   * Update several alerts, skipping deleted ones; returns the alerts written
+   */
+  async saveMany(alerts) {
+    const saved = alerts.filter(alert => this.alerts.has(alert.id));
+    saved.forEach(alert => this.index(alert));
+    return saved;
+  }
+
+  async findById(alertId) {
+    return this.alerts.get(alertId) || null;
+  }
+
+  async findAll() {
+    return Array.from(this.alerts.values());
+  }
+
+  async findByAddress(address) {
+    const ids = this.byAddress.get(normalizeAddress(address));
+    if (!ids) return [];
+    return Array.from(ids, id => this.alerts.get(id));
+  }
+
+  /**
+   * Triggered alerts for an address
+   */
+  async findActive(address) {
+    const alerts = await this.findByAddress(address);
+    return alerts.filter(alert => alert.triggered);
+  }
+
+  async delete(alertId) {
+    const alert = this.alerts.get(alertId);
+    if (!alert) return false;
+
+    this.alerts.delete(alertId);
+    const key = normalizeAddress(alert.address);
+    const ids = this.byAddress.get(key);
+    ids?.delete(alertId);
+    if (ids?.size === 0) this.byAddress.delete(key);
+
+    return true;
+  }
+
+  // Private methods
+
+  index(alert) {
+    this.alerts.set(alert.id, alert);
+
+    const key = normalizeAddress(alert.address);
+    if (!this.byAddress.has(key)) this.byAddress.set(key, new Set());
+    this.byAddress.get(key).add(alert.id);
+  }
+}
+
+/**
+ * Default repository: keeps the in-memory index and mirrors every write
+ * to a JSON file so alerts survive restarts.
+ */
+export class FileAlertRepository extends AlertRepository {
+  constructor(filePath = process.env.ALERT_STORE_PATH || 'storage/alerts.json') {
+    super();
+    this.store = new JsonFileStore(filePath, { alerts: [] });
+  }
+
+  async load() {
+    const data = await this.store.read();
+    this.alerts.clear();
+    this.byAddress.clear();
+    (data.alerts || []).forEach(alert => this.index(alert));
+    return this.alerts.size;
+  }
+
+  async create(alert) {
+    await super.create(alert);
+    await this.persist();
+    return alert;
+  }
+
+  async save(alert) {
+    const saved = await super.save(alert);
+    if (saved) await this.persist();
+    return saved;
+  }
+
+  async saveMany(alerts) {
+    const saved = await super.saveMany(alerts);
+    if (saved.length > 0) await this.persist();
+    return saved;
+  }
+
+  async delete(alertId) {
+    const deleted = await super.delete(alertId);
+    if (deleted) await this.persist();
+    return deleted;
+  }
+
+  persist() {
+    return this.store.write({ alerts: Array.from(this.alerts.values()) });
+  }
+}
@@ -1,13 +1,53 @@
 // services/alertService.js - Alert creation and monitoring
+import crypto from 'crypto';
 import { AuraService } from './auraService.js';
 import { RiskAnalyzer } from './riskAnalyzer.js';
+import { FileAlertRepository } from './alertRepository.js';
+import { WebhookService } from './webhookService.js';
+import { NotificationService } from './notificationService.js';
+import { AlertEventStream } from './alertEventStream.js';
+import { DigestService } from './digestService.js';
+import { createDefaultChannelRegistry } from './notificationChannels.js';
+import { ValidationError, LowConfidenceError, ServiceUnavailableError } from '../utils/errors.js';
+import { getAlertValidationErrors, EDITABLE_ALERT_FIELDS } from '../middleware/validators.js';
+import { mapWithConcurrency } from '../utils/concurrency.js';
+import { PriceSeries } from './priceSeries.js';
+import { rsi, bollingerBands, smaCrossover } from './indicators.js';
+
+const DEFAULT_COOLDOWN_SECONDS = 900;
+const MONITOR_INTERVAL_MS = 30000;
+const DIGEST_CHECK_INTERVAL_MS = 60000;
+const FETCH_CONCURRENCY = parseInt(process.env.ALERT_FETCH_CONCURRENCY) || 5;
+// Transactions fetched per page when scanning a wallet for new activity
+const TRANSACTION_PAGE_SIZE = 50;
+// Pages scanned per wallet and cycle at most (very busy wallets)
+const MAX_TRANSACTION_PAGES = 10;
+
+// Alert types computed from the wallet's token balances
+const BALANCE_BASED_TYPES = ['RISK', 'BALANCE', 'PORTFOLIO_VALUE', 'ALLOCATION_DRIFT'];
+
+const txTime = (tx) => new Date(tx.timestamp).getTime();
+
+// Mock balances stand in for the wallet when AURA is unreachable
+const isMockBalances = (tokens) => tokens.some(token => token.source === 'MOCK');
 
 export class AlertService {
-  constructor() {
-    this.alerts = new Map(); // In production, use a database
-    this.activeAlerts = new Map();
+  constructor({ repository = new FileAlertRepository() } = {}) {
+    this.repository = repository;
     this.auraService = new AuraService();
     this.riskAnalyzer = new RiskAnalyzer();
+    this.webhookService = new WebhookService({
+      // Deliveries resumed at startup may run before the alerts are loaded
+      resolveSecret: async (alertId) => {
+        await this.ready;
+        return (await this.repository.findById(alertId))?.webhookSecret || null;
+      }
+    });
+    this.notificationService = new NotificationService();
+    this.eventStream = new AlertEventStream();
+    this.digestService = new DigestService();
+    this.channels = createDefaultChannelRegistry(this.webhookService);
+    this.priceSeries = new PriceSeries();
     
     // Start monitoring loop
     this.startMonitoring();
@@ -17,17 +57,37 @@ export class AlertService {
    * Create a new alert
    */
   async createAlert(alertData) {
+    await this.ready;
+
+    const details = [...getAlertValidationErrors(alertData), ...this.getChannelErrors(alertData)];
+    if (details.length > 0) {
+      throw new ValidationError('Invalid alert definition', details);
+    }
+
     const alertId = this.generateAlertId();
     
     const alert = {
       id: alertId,
       ...alertData,
+      mode: alertData.mode || 'ONE_SHOT',
+      cooldownSeconds: alertData.cooldownSeconds ?? DEFAULT_COOLDOWN_SECONDS,
       status: 'active',
       triggered: false,
+      triggerCount: 0,
       createdAt: new Date().toISOString()
     };
 
-    this.alerts.set(alertId, alert);
+    // Percent-change portfolio alerts compare against the value at creation
+    if (this.needsBaselineValue(alert)) {
+      alert.baselineValue = await this.getBaselineValue(alert.address);
+    }
+
+    // Each webhook gets its own signing secret unless the caller brings one
+    if (alert.webhookUrl && !alert.webhookSecret) {
+      alert.webhookSecret = crypto.randomBytes(24).toString('hex');
+    }
+
+    await this.repository.create(alert);
     
     return alert;
   }
@@ -36,101 +96,533 @@ export class AlertService {
    * Get alerts by wallet address
    */
   async getAlertsByAddress(address) {
-    const userAlerts = [];
-    
-    for (const alert of this.alerts.values()) {
-      if (alert.address.toLowerCase() === address.toLowerCase()) {
-        userAlerts.push(alert);
-      }
+    await this.ready;
+    return this.repository.findByAddress(address);
+  }
+
+  /**
+   * Update editable alert fields. Editing re-arms the alert.
+   */
+  async updateAlert(alertId, changes) {
+    await this.ready;
+    const alert = await this.repository.findById(alertId);
+    if (!alert) return null;
+
+    const updates = {};
+    for (const field of EDITABLE_ALERT_FIELDS) {
+      if (changes[field] !== undefined) updates[field] = changes[field];
     }
-    
-    return userAlerts;
+
+    const merged = { ...alert, ...updates };
+    const details = [...getAlertValidationErrors(merged), ...this.getChannelErrors(merged)];
+    if (details.length > 0) {
+      throw new ValidationError('Invalid alert update', details);
+    }
+
+    // Fetched before anything changes, so a failure leaves the alert as it was
+    if (this.needsBaselineValue(merged) && alert.baselineValue === undefined) {
+      updates.baselineValue = await this.getBaselineValue(alert.address);
+    }
+
+    Object.assign(alert, updates);
+
+    alert.triggered = false;
+    alert.updatedAt = new Date().toISOString();
+
+    // null when the alert was deleted meanwhile
+    return this.repository.save(alert);
+  }
+
+  /**
+   * Pause or resume an alert ('paused' | 'active')
+   */
+  async setAlertStatus(alertId, status) {
+    await this.ready;
+    const alert = await this.repository.findById(alertId);
+    if (!alert) return null;
+
+    alert.status = status;
+    alert.updatedAt = new Date().toISOString();
+
+    return this.repository.save(alert);
   }
 
   /**
    * Delete an alert
    */
   async deleteAlert(alertId) {
-    return this.alerts.delete(alertId);
+    await this.ready;
+    return this.repository.delete(alertId);
+  }
+
+  /**
+   * Get an alert by ID
+   */
+  async getAlert(alertId) {
+    await this.ready;
+    return this.repository.findById(alertId);
+  }
+
+  /**
+   * Get webhook delivery log for an alert
+   */
+  async getDeliveries(alertId) {
+    return this.webhookService.getDeliveries(alertId);
+  }
+
+  /**
+   * Get inbox notifications for a wallet
+   */
+  async getNotifications(address, options) {
+    return this.notificationService.list(address, options);
+  }
+
+  async markNotificationRead(address, notificationId) {
+    return this.notificationService.markRead(address, notificationId);
+  }
+
+  async markAllNotificationsRead(address) {
+    return this.notificationService.markAllRead(address);
   }
 
   /**
    * Get active (triggered) alerts
    */
   async getActiveAlerts(address) {
-    const activeAlerts = [];
-    
-    for (const alert of this.activeAlerts.values()) {
-      if (alert.address.toLowerCase() === address.toLowerCase()) {
-        activeAlerts.push(alert);
-      }
-    }
-    
-    return activeAlerts;
+    await this.ready;
+    return this.repository.findActive(address);
   }
 
   /**
-   * Start monitoring alerts
+   * Start monitoring alerts (reloads persisted alerts first)
    */
   startMonitoring() {
+    this.ready = this.repository.load()
+      .then((count) => console.log(`📦 Loaded ${count} alerts from storage`))
+      .catch((error) => console.error('❌ Failed to load alerts:', error.message));
+
+    this.cycleInProgress = false;
+    this.monitoringStats = {
+      intervalMs: MONITOR_INTERVAL_MS,
+      cycles: 0,
+      skippedCycles: 0,
+      overrunCycles: 0,
+      failedCycles: 0,
+      lastCycle: null
+    };
+
     // Check alerts every 30 seconds
-    setInterval(async () => {
-      await this.checkAlerts();
-    }, 30000);
+    setInterval(() => this.runMonitoringCycle(), MONITOR_INTERVAL_MS);
+
+    // Send digests that are due (batched low-priority / quiet-hours notifications)
+    setInterval(() => {
+      this.sendDueDigests().catch(error => console.error('❌ Digest delivery failed:', error.message));
+    }, DIGEST_CHECK_INTERVAL_MS);
 
     console.log('📡 Alert monitoring started');
   }
 
   /**
-   * Check all alerts and trigger if conditions are met
+   * Run one monitoring cycle. A cycle that starts while the previous one is
+   * still running is skipped rather than stacked on top of it.
+   */
+  async runMonitoringCycle() {
+    const stats = this.monitoringStats;
+
+    if (this.cycleInProgress) {
+      stats.skippedCycles++;
+      console.warn('⏭️ Alert cycle skipped: previous cycle still running');
+      return;
+    }
+
+    this.cycleInProgress = true;
+    const startedAt = Date.now();
+
+    try {
+      const result = await this.checkAlerts();
+      const durationMs = Date.now() - startedAt;
+
+      stats.cycles++;
+      if (durationMs > MONITOR_INTERVAL_MS) {
+        stats.overrunCycles++;
+        console.warn(`🐢 Alert cycle overran the ${MONITOR_INTERVAL_MS}ms interval (${durationMs}ms)`);
+      }
+      stats.lastCycle = {
+        ...result,
+        durationMs,
+        startedAt: new Date(startedAt).toISOString()
+      };
+    } catch (error) {
+      stats.failedCycles++;
+      console.error('❌ Alert cycle failed:', error.message);
+    } finally {
+      this.cycleInProgress = false;
+    }
+  }
+
+  /**
+   * Monitoring loop statistics (cycle duration, skipped/overrun cycles)
+   */
+  getMonitoringStats() {
+    return {
+      ...this.monitoringStats,
+      running: this.cycleInProgress
+    };
+  }
+
+  /**
+   * Check all alerts and trigger if conditions are met.
+   * Market/wallet data is fetched once per cycle into a snapshot shared by every alert.
    */
   async checkAlerts() {
-    for (const alert of this.alerts.values()) {
-      if (alert.status !== 'active' || alert.triggered) continue;
+    await this.ready;
+    const checked = [];
+    let triggered = 0;
+    let lowConfidence = 0;
+
+    const alerts = (await this.repository.findAll()).filter(alert =>
+      alert.status === 'active' &&
+      // One-shot alerts are done once triggered; recurring ones keep watching to re-arm
+      (!alert.triggered || alert.mode === 'RECURRING')
+    );
 
+    const snapshot = await this.buildSnapshot(alerts);
+
+    for (const alert of alerts) {
       try {
-        const shouldTrigger = await this.evaluateAlert(alert);
+        const conditionMet = await this.evaluateAlert(alert, snapshot);
+        alert.lastChecked = new Date().toISOString();
+        this.advanceTransactionCursor(alert, snapshot);
+        checked.push(alert);
         
-        if (shouldTrigger) {
-          await this.triggerAlert(alert);
+        if (conditionMet && this.canTrigger(alert)) {
+          if (await this.triggerAlert(alert)) triggered++;
+        } else if (!conditionMet && alert.triggered) {
+          this.rearmAlert(alert);
         }
       } catch (error) {
-        console.error(`Error checking alert ${alert.id}:`, error.message);
+        if (error instanceof LowConfidenceError) {
+          lowConfidence++;
+          console.warn(`⚠️ Skipping alert ${alert.id}: ${error.message}`);
+        } else {
+          console.error(`Error checking alert ${alert.id}:`, error.message);
+        }
+      }
+    }
+
+    // Persist trigger state + lastChecked in one write (alerts deleted meanwhile are skipped)
+    if (checked.length > 0) {
+      await this.repository.saveMany(checked);
+    }
+
+    return {
+      alerts: alerts.length,
+      evaluated: checked.length,
+      triggered,
+      skippedLowConfidence: lowConfidence,
+      tokens: snapshot.prices.size,
+      wallets: new Set([...snapshot.balances.keys(), ...snapshot.transactions.keys()]).size
+    };
+  }
+
+  /**
+   * Collect distinct tokens/addresses across all alerts (including COMPOSITE
+   * predicates) and fetch each one once, with bounded concurrency.
+   */
+  async buildSnapshot(alerts) {
+    const tokens = new Set();
+    const balanceAddresses = new Set();
+    // address -> oldest transaction cursor among its alerts
+    const transactionAddresses = new Map();
+
+    for (const alert of alerts) {
+      const predicates = alert.type === 'COMPOSITE' ? this.collectPredicates(alert.expression) : [alert];
+
+      for (const predicate of predicates) {
+        const address = alert.address.toLowerCase();
+        if (predicate.type === 'PRICE') tokens.add(predicate.token);
+        if (BALANCE_BASED_TYPES.includes(predicate.type)) balanceAddresses.add(address);
+        if (predicate.type === 'TRANSACTION') {
+          const since = this.getTransactionCursorTime(alert);
+          transactionAddresses.set(address, Math.min(transactionAddresses.get(address) ?? Infinity, since));
+        }
+      }
+    }
+
+    const snapshot = {
+      prices: new Map(),
+      balances: new Map(),
+      transactions: new Map(),
+      riskScores: new Map(),
+      // ids of alerts whose TRANSACTION predicate ran this cycle
+      transactionsScanned: new Set()
+    };
+
+    const load = async (keys, map, fetcher) => {
+      const list = Array.from(keys);
+      const results = await mapWithConcurrency(list, FETCH_CONCURRENCY, fetcher);
+      results.forEach((result, i) => {
+        map.set(list[i], result.status === 'fulfilled' ? result.value : result.reason);
+      });
+    };
+
+    await this.loadPrices(tokens, snapshot.prices);
+
+    // Feed the rolling series used by indicator conditions (low-confidence ticks would skew them).
+    // Prices are cached, so only quotes the providers have updated since the last cycle count.
+    await this.priceSeries.ready;
+    let recorded = 0;
+    for (const [token, priceData] of snapshot.prices) {
+      if (!(priceData instanceof Error) && priceData.confidence !== 'low' &&
+          this.priceSeries.record(token, priceData.current, priceData.timestamp)) {
+        recorded++;
+      }
+    }
+    if (recorded > 0) await this.priceSeries.persist();
+    await load(balanceAddresses, snapshot.balances, address => this.auraService.getTokenBalances(address));
+    await load(
+      transactionAddresses.keys(),
+      snapshot.transactions,
+      address => this.scanTransactions(address, transactionAddresses.get(address))
+    );
+
+    return snapshot;
+  }
+
+  /**
+   * Consensus prices for every watched token in one batch (each provider is
+   * asked once per cycle, not once per token). Tokens nobody priced get mock
+   * data, which is low confidence and never triggers.
+   */
+  async loadPrices(tokens, prices) {
+    if (tokens.size === 0) return;
+
+    try {
+      const quotes = await this.auraService.getConsensusPrices([...tokens]);
+      for (const token of tokens) {
+        prices.set(token, quotes[token.toUpperCase()] || this.auraService.getMockPriceData(token));
       }
+    } catch (error) {
+      tokens.forEach(token => prices.set(token, error));
     }
   }
 
+  /**
+   * Read from the cycle snapshot, falling back to a direct fetch
+   * (alerts evaluated outside the monitoring loop have no snapshot)
+   */
+  async fromSnapshot(map, key, fetcher) {
+    if (!map?.has(key)) return fetcher();
+
+    const value = map.get(key);
+    if (value instanceof Error) throw value;
+    return value;
+  }
+
+  getPriceData(token, snapshot) {
+    return this.fromSnapshot(snapshot?.prices, token, () => this.auraService.getTokenPrice(token, { consensus: true }));
+  }
+
+  /**
+   * Wallet balances for evaluation. Mock balances (AURA unreachable) neither
+   * trigger nor re-arm: they're skipped like low-confidence prices.
+   */
+  async getBalances(address, snapshot) {
+    const tokens = await this.fromSnapshot(
+      snapshot?.balances,
+      address.toLowerCase(),
+      () => this.auraService.getTokenBalances(address)
+    );
+    if (isMockBalances(tokens)) throw new LowConfidenceError(`Balances for ${address} are unavailable (mock data)`);
+    return tokens;
+  }
+
+  getRecentTransactions(alert, snapshot) {
+    return this.fromSnapshot(
+      snapshot?.transactions,
+      alert.address.toLowerCase(),
+      () => this.scanTransactions(alert.address, this.getTransactionCursorTime(alert))
+    );
+  }
+
+  /**
+   * Transactions of a wallet back to `since` (ms): pages through the history
+   * with `offset` until a page reaches a transaction older than `since`
+   */
+  async scanTransactions(address, since) {
+    const transactions = new Map();
+
+    for (let page = 0; page < MAX_TRANSACTION_PAGES; page++) {
+      const batch = await this.auraService.getTransactions(address, TRANSACTION_PAGE_SIZE, page * TRANSACTION_PAGE_SIZE);
+      // Pages shift when transactions arrive mid-scan; the hash dedupes them
+      batch.forEach(tx => transactions.set(tx.hash, tx));
+
+      if (batch.length < TRANSACTION_PAGE_SIZE || batch.some(tx => txTime(tx) < since)) {
+        return Array.from(transactions.values());
+      }
+    }
+
+    console.warn(`⚠️ More than ${MAX_TRANSACTION_PAGES * TRANSACTION_PAGE_SIZE} new transactions for ${address}, older ones were not scanned`);
+    return Array.from(transactions.values());
+  }
+
+  /**
+   * Timestamp of the newest transaction an alert has seen (creation time before its first scan)
+   */
+  getTransactionCursorTime(alert) {
+    return new Date(alert.transactionCursor?.timestamp || alert.createdAt).getTime();
+  }
+
+  /**
+   * Transactions the alert hasn't seen: newer than its cursor, or as old as the
+   * cursor but not among the transactions seen at that timestamp
+   */
+  getNewTransactions(alert, transactions) {
+    const since = this.getTransactionCursorTime(alert);
+    const seen = alert.transactionCursor?.hashes || [];
+
+    return transactions.filter(tx => txTime(tx) > since || (txTime(tx) === since && !seen.includes(tx.hash)));
+  }
+
+  /**
+   * Move the alert's cursor to the newest transaction scanned this cycle.
+   * The cursor follows transaction timestamps rather than the clock, so a
+   * transaction the API lists late is still picked up. A COMPOSITE whose
+   * TRANSACTION predicate was short-circuited keeps its cursor: those
+   * transactions were never looked at.
+   */
+  advanceTransactionCursor(alert, snapshot) {
+    if (!snapshot.transactionsScanned.has(alert.id)) return;
+
+    const transactions = snapshot.transactions.get(alert.address.toLowerCase());
+    if (!Array.isArray(transactions) || transactions.length === 0) return;
+
+    const newest = Math.max(...transactions.map(txTime));
+    const current = this.getTransactionCursorTime(alert);
+    if (!Number.isFinite(newest) || newest < current) return;
+
+    const hashes = transactions.filter(tx => txTime(tx) === newest).map(tx => tx.hash);
+    alert.transactionCursor = {
+      timestamp: new Date(newest).toISOString(),
+      hashes: newest === current ? [...new Set([...(alert.transactionCursor?.hashes || []), ...hashes])] : hashes
+    };
+  }
+
+  async getRiskScore(address, snapshot) {
+    const key = address.toLowerCase();
+    if (snapshot?.riskScores.has(key)) return snapshot.riskScores.get(key);
+
+    const tokens = await this.getBalances(address, snapshot);
+    const riskScore = await this.riskAnalyzer.calculatePortfolioRisk({
+      tokens,
+      transactions: []
+    });
+
+    snapshot?.riskScores.set(key, riskScore);
+    return riskScore;
+  }
+
+  /**
+   * Alert is armed and (for recurring alerts) out of its cooldown window
+   */
+  canTrigger(alert) {
+    if (alert.triggered) return false;
+    // One-shot alerts have no cooldown: re-armed through PATCH they fire right away
+    if (alert.mode !== 'RECURRING' || !alert.triggeredAt) return true;
+
+    const elapsed = Date.now() - new Date(alert.triggeredAt).getTime();
+    return elapsed >= (alert.cooldownSeconds || 0) * 1000;
+  }
+
+  /**
+   * Condition cleared - recurring alert can fire again
+   */
+  rearmAlert(alert) {
+    alert.triggered = false;
+    alert.rearmedAt = new Date().toISOString();
+    console.log(`🔁 Alert re-armed: ${alert.id}`);
+  }
+
   /**
    * Evaluate if an alert should trigger
    */
-  async evaluateAlert(alert) {
+  async evaluateAlert(alert, snapshot = null) {
     switch (alert.type) {
       case 'PRICE':
-        return await this.evaluatePriceAlert(alert);
+        return await this.evaluatePriceAlert(alert, snapshot);
       
       case 'RISK':
-        return await this.evaluateRiskAlert(alert);
+        return await this.evaluateRiskAlert(alert, snapshot);
       
       case 'BALANCE':
-        return await this.evaluateBalanceAlert(alert);
+        return await this.evaluateBalanceAlert(alert, snapshot);
       
       case 'TRANSACTION':
-        return await this.evaluateTransactionAlert(alert);
+        return await this.evaluateTransactionAlert(alert, snapshot);
+
+      case 'PORTFOLIO_VALUE':
+        return await this.evaluatePortfolioValueAlert(alert, snapshot);
+
+      case 'ALLOCATION_DRIFT':
+        return await this.evaluateAllocationDriftAlert(alert, snapshot);
+
+      case 'COMPOSITE':
+        return await this.evaluateExpression(alert.expression, alert, snapshot);
       
       default:
         return false;
     }
   }
 
+  /**
+   * Evaluate a COMPOSITE expression tree.
+   * Groups are { operator: 'AND' | 'OR', conditions: [...] }, leaves are
+   * { type, condition, value, token } predicates evaluated like standalone alerts.
+   */
+  async evaluateExpression(node, alert, snapshot = null) {
+    if (node.operator) {
+      for (const child of node.conditions) {
+        const result = await this.evaluateExpression(child, alert, snapshot);
+        // Short-circuit: AND stops on first false, OR on first true
+        if (node.operator === 'AND' && !result) return false;
+        if (node.operator === 'OR' && result) return true;
+      }
+      return node.operator === 'AND';
+    }
+
+    const predicate = {
+      ...node,
+      id: alert.id,
+      address: alert.address,
+      createdAt: alert.createdAt,
+      transactionCursor: alert.transactionCursor,
+      baselineValue: alert.baselineValue
+    };
+    const result = await this.evaluateAlert(predicate, snapshot);
+
+    // The transfer watch records its match on the predicate copy
+    if (result && predicate.lastMatch) alert.lastMatch = predicate.lastMatch;
+    return result;
+  }
+
   /**
    * Evaluate price alert
    */
-  async evaluatePriceAlert(alert) {
+  async evaluatePriceAlert(alert, snapshot = null) {
     const { token, condition, value } = alert;
     
-    const priceData = await this.auraService.getTokenPrice(token);
+    const priceData = await this.getPriceData(token, snapshot);
     const currentPrice = priceData.current;
 
+    // Stale or conflicting sources: neither trigger nor re-arm on this data
+    if (priceData.confidence === 'low') {
+      throw new LowConfidenceError(`${token} price confidence is low`, {
+        spread: priceData.spread,
+        stale: priceData.stale,
+        sources: priceData.sources?.length || 0
+      });
+    }
+
     switch (condition) {
       case 'ABOVE':
         return currentPrice > value;
@@ -140,6 +632,39 @@ export class AlertService {
         return priceData.change24h > value;
       case 'CHANGE_DOWN':
         return priceData.change24h < -value;
+      default:
+        return this.evaluateIndicatorCondition(alert, currentPrice);
+    }
+  }
+
+  /**
+   * Evaluate indicator-based PRICE conditions against the rolling price series.
+   * Returns false until enough samples have been collected.
+   */
+  evaluateIndicatorCondition(alert, currentPrice) {
+    const { token, condition, value, params = {} } = alert;
+    const prices = this.priceSeries.getPrices(token);
+
+    switch (condition) {
+      case 'SMA_CROSS_UP':
+      case 'SMA_CROSS_DOWN': {
+        const crossover = smaCrossover(prices, params.fastPeriod || 5, params.slowPeriod || 20);
+        return crossover === (condition === 'SMA_CROSS_UP' ? 'UP' : 'DOWN');
+      }
+      case 'RSI_OVERBOUGHT': {
+        const current = rsi(prices, params.period || 14);
+        return current !== null && current > (value ?? 70);
+      }
+      case 'RSI_OVERSOLD': {
+        const current = rsi(prices, params.period || 14);
+        return current !== null && current < (value ?? 30);
+      }
+      case 'BOLLINGER_BREAK_UP':
+      case 'BOLLINGER_BREAK_DOWN': {
+        const bands = bollingerBands(prices, params.period || 20, params.stdDev || 2);
+        if (!bands) return false;
+        return condition === 'BOLLINGER_BREAK_UP' ? currentPrice > bands.upper : currentPrice < bands.lower;
+      }
       default:
         return false;
     }
@@ -148,14 +673,10 @@ export class AlertService {
   /**
    * Evaluate risk alert
    */
-  async evaluateRiskAlert(alert) {
+  async evaluateRiskAlert(alert, snapshot = null) {
     const { address, condition, value } = alert;
     
-    const tokens = await this.auraService.getTokenBalances(address);
-    const riskScore = await this.riskAnalyzer.calculatePortfolioRisk({
-      tokens,
-      transactions: []
-    });
+    const riskScore = await this.getRiskScore(address, snapshot);
 
     switch (condition) {
       case 'EXCEEDS':
@@ -172,10 +693,10 @@ export class AlertService {
   /**
    * Evaluate balance alert
    */
-  async evaluateBalanceAlert(alert) {
+  async evaluateBalanceAlert(alert, snapshot = null) {
     const { address, token, condition, value } = alert;
     
-    const tokens = await this.auraService.getTokenBalances(address);
+    const tokens = await this.getBalances(address, snapshot);
     const tokenData = tokens.find(t => t.symbol === token);
     
     if (!tokenData) return false;
@@ -193,54 +714,241 @@ export class AlertService {
   /**
    * Evaluate transaction alert
    */
-  async evaluateTransactionAlert(alert) {
-    const { address } = alert;
-    
-    const transactions = await this.auraService.getTransactions(address, 1);
-    
-    if (transactions.length === 0) return false;
+  async evaluateTransactionAlert(alert, snapshot = null) {
+    const transactions = await this.getRecentTransactions(alert, snapshot);
+    snapshot?.transactionsScanned.add(alert.id);
 
-    const latestTx = transactions[0];
-    const txTime = new Date(latestTx.timestamp).getTime();
-    const alertTime = new Date(alert.lastChecked || alert.createdAt).getTime();
+    // Every transaction since the last one seen, not just the newest one
+    const newTransactions = this.getNewTransactions(alert, transactions);
+    if (newTransactions.length === 0) return false;
+
+    if (alert.condition === 'TRANSFER') {
+      return this.evaluateTransferWatch(alert, newTransactions, snapshot);
+    }
 
-    // New transaction detected
-    if (txTime > alertTime) {
-      // Check if it's risky
-      const risk = this.riskAnalyzer.assessTransactionRisk(latestTx);
+    // Default: any risky transaction
+    return newTransactions.some(tx => {
+      const risk = this.riskAnalyzer.assessTransactionRisk(tx);
       return risk.level === 'HIGH' || risk.level === 'CRITICAL';
+    });
+  }
+
+  /**
+   * Transfer watch: matches transfers by direction, token and USD threshold.
+   * Counterparties on `counterparties.deny` always match (any interaction),
+   * counterparties on `counterparties.allow` never do.
+   */
+  async evaluateTransferWatch(alert, transactions, snapshot = null) {
+    const { direction = 'ANY', token, value = 0, counterparties = {} } = alert;
+    const allow = (counterparties.allow || []).map(entry => entry.toLowerCase());
+    const deny = (counterparties.deny || []).map(entry => entry.toLowerCase());
+
+    for (const transfer of this.extractTransfers(alert.address, transactions)) {
+      if (allow.includes(transfer.counterparty)) continue;
+
+      const denied = deny.includes(transfer.counterparty);
+      if (!denied) {
+        if (direction !== 'ANY' && transfer.direction !== direction) continue;
+        if (token && transfer.token?.toUpperCase() !== token.toUpperCase()) continue;
+      }
+
+      const valueUSD = await this.getTransferValueUSD(transfer, snapshot);
+      if (denied || valueUSD >= value) {
+        alert.lastMatch = { ...transfer, valueUSD, denylisted: denied };
+        return true;
+      }
     }
 
     return false;
   }
 
   /**
-   * Trigger an alert
+   * Flatten transactions into wallet-relative transfers (native value + token transfers)
+   */
+  extractTransfers(address, transactions) {
+    const wallet = address.toLowerCase();
+    const transfers = [];
+
+    const toTransfer = (tx, movement, tokenSymbol) => {
+      const from = (movement.from || '').toLowerCase();
+      const to = (movement.to || '').toLowerCase();
+      if (from !== wallet && to !== wallet) return null;
+
+      return {
+        hash: tx.hash,
+        direction: to === wallet ? 'IN' : 'OUT',
+        counterparty: to === wallet ? from : to,
+        token: tokenSymbol,
+        amount: Number(movement.amount ?? movement.value) || 0,
+        valueUSD: movement.valueUSD,
+        timestamp: tx.timestamp
+      };
+    };
+
+    for (const tx of transactions) {
+      if (Number(tx.value) > 0) {
+        const native = toTransfer(tx, tx, tx.symbol || 'ETH');
+        if (native) transfers.push(native);
+      }
+
+      for (const tokenTransfer of tx.tokenTransfers || []) {
+        const transfer = toTransfer(tx, tokenTransfer, tokenTransfer.symbol);
+        if (transfer) transfers.push(transfer);
+      }
+    }
+
+    return transfers;
+  }
+
+  /**
+   * USD value of a transfer (reported value, else amount × current price)
+   */
+  async getTransferValueUSD(transfer, snapshot = null) {
+    if (typeof transfer.valueUSD === 'number') return transfer.valueUSD;
+    if (!transfer.token || transfer.amount === 0) return 0;
+
+    try {
+      const priceData = await this.getPriceData(transfer.token, snapshot);
+      return transfer.amount * (priceData.current || 0);
+    } catch {
+      return 0;
+    }
+  }
+
+  /**
+   * Evaluate portfolio value alert (USD total, or % change since creation)
+   */
+  async evaluatePortfolioValueAlert(alert, snapshot = null) {
+    const { address, condition, value, baselineValue } = alert;
+
+    const tokens = await this.getBalances(address, snapshot);
+    const totalValue = this.getPortfolioValue(tokens);
+
+    switch (condition) {
+      case 'ABOVE':
+        return totalValue > value;
+      case 'BELOW':
+        return totalValue < value;
+      case 'CHANGE_UP':
+      case 'CHANGE_DOWN': {
+        if (!baselineValue) return false;
+        const changePercent = ((totalValue - baselineValue) / baselineValue) * 100;
+        return condition === 'CHANGE_UP' ? changePercent > value : changePercent < -value;
+      }
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Evaluate allocation drift alert: fires when any holding is more than
+   * `value` percentage points away from its target. When targets add up to
+   * 100%, holdings without a target count as a 0% target.
+   */
+  async evaluateAllocationDriftAlert(alert, snapshot = null) {
+    const { address, value, targets = {} } = alert;
+
+    const tokens = await this.getBalances(address, snapshot);
+    const allocation = this.getAllocation(tokens);
+    const fullyAllocated = Object.values(targets).reduce((sum, percent) => sum + percent, 0) >= 100;
+
+    const symbols = new Set(Object.keys(targets).map(symbol => symbol.toUpperCase()));
+    if (fullyAllocated) Object.keys(allocation).forEach(symbol => symbols.add(symbol));
+
+    const targetFor = (symbol) => {
+      const key = Object.keys(targets).find(target => target.toUpperCase() === symbol);
+      return key ? targets[key] : 0;
+    };
+
+    for (const symbol of symbols) {
+      const drift = Math.abs((allocation[symbol] || 0) - targetFor(symbol));
+      if (drift > value) return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Portfolio value that CHANGE_UP / CHANGE_DOWN are measured against.
+   * Never taken from mock balances: every later change would be made up.
+   */
+  async getBaselineValue(address) {
+    const tokens = await this.auraService.getTokenBalances(address);
+    if (isMockBalances(tokens)) {
+      throw new ServiceUnavailableError('Wallet balances are unavailable, so the portfolio baseline cannot be set; try again later');
+    }
+    return this.getPortfolioValue(tokens);
+  }
+
+  getPortfolioValue(tokens) {
+    return tokens.reduce((sum, token) => sum + (token.valueUSD || 0), 0);
+  }
+
+  /**
+   * Current allocation as { SYMBOL: percentOfTotal }
+   */
+  getAllocation(tokens) {
+    const totalValue = this.getPortfolioValue(tokens);
+    const allocation = {};
+    if (totalValue === 0) return allocation;
+
+    tokens.forEach(token => {
+      const symbol = token.symbol.toUpperCase();
+      allocation[symbol] = (allocation[symbol] || 0) + ((token.valueUSD || 0) / totalValue) * 100;
+    });
+
+    return allocation;
+  }
+
+  needsBaselineValue(alert) {
+    const predicates = alert.type === 'COMPOSITE' ? this.collectPredicates(alert.expression) : [alert];
+    return predicates.some(predicate =>
+      predicate.type === 'PORTFOLIO_VALUE' &&
+      (predicate.condition === 'CHANGE_UP' || predicate.condition === 'CHANGE_DOWN')
+    );
+  }
+
+  /**
+   * Trigger an alert (false when it was deleted meanwhile)
    */
   async triggerAlert(alert) {
     alert.triggered = true;
     alert.triggeredAt = new Date().toISOString();
+    alert.triggerCount = (alert.triggerCount || 0) + 1;
     
-    this.activeAlerts.set(alert.id, alert);
+    // Deleted while the cycle was running: nobody to notify
+    if (!(await this.repository.save(alert))) return false;
     
     console.log(`🔔 Alert triggered: ${alert.type} for ${alert.address}`);
     
-    // In production, send notifications here:
-    // - Email
-    // - Push notification
-    // - Webhook
-    // - SMS
+    // Delivery goes through the channel registry (webhook, email, chat);
+    // further channels such as push or SMS plug in via this.channels.register()
+    const notification = await this.notifyUser(alert);
 
-    // For demo, just log it
-    this.notifyUser(alert);
+    // Push to live SSE subscribers
+    this.eventStream.publish(alert.address, 'alert.triggered', {
+      alert: {
+        id: alert.id,
+        type: alert.type,
+        token: alert.token,
+        condition: alert.condition,
+        value: alert.value,
+        mode: alert.mode,
+        triggeredAt: alert.triggeredAt,
+        triggerCount: alert.triggerCount
+      },
+      notification
+    });
+    return true;
   }
 
   /**
    * Notify user about triggered alert
    */
-  notifyUser(alert) {
+  async notifyUser(alert) {
     const notification = {
       alertId: alert.id,
+      address: alert.address,
       type: alert.type,
       message: this.getAlertMessage(alert),
       severity: this.getAlertSeverity(alert),
@@ -248,9 +956,85 @@ export class AlertService {
     };
 
     console.log('📬 Notification:', notification);
-    
-    // Store notification for retrieval
-    // In production, use a proper notification service
+
+    // Store notification in the wallet's inbox
+    const stored = await this.notificationService.add(alert.address, notification);
+
+    // Quiet hours / low severity go to the digest instead of immediate delivery
+    const delivery = await this.digestService.route(alert.address, stored.severity);
+    if (delivery === 'immediate') {
+      this.deliverNotification(alert, stored);
+    } else {
+      await this.digestService.enqueue(alert.address, stored);
+    }
+
+    return { ...stored, delivery };
+  }
+
+  /**
+   * Push a notification through the alert's delivery channels
+   */
+  deliverNotification(alert, notification) {
+    this.channels.dispatch(alert, 'alert.triggered', { notification }).catch(error => {
+      console.error(`Error delivering notification for alert ${alert.id}:`, error.message);
+    });
+  }
+
+  /**
+   * Channels an alert selects must exist and have their settings on the alert
+   */
+  getChannelErrors(alert) {
+    if (!Array.isArray(alert.channels)) return [];
+
+    const errors = [];
+    alert.channels.forEach((name, i) => {
+      if (!this.channels.has(name)) {
+        errors.push({ field: `channels[${i}]`, message: `Unknown channel '${name}'. Available: ${this.channels.list().join(', ')}` });
+      } else if (!this.channels.get(name).isConfigured(alert)) {
+        errors.push({ field: `channels[${i}]`, message: `Channel '${name}' is not configured for this alert` });
+      }
+    });
+    return errors;
+  }
+
+  /**
+   * Deliver digests that are due. Each alert with a channel receives the
+   * part of the digest that concerns it; SSE subscribers get the whole digest.
+   */
+  async sendDueDigests(now = new Date()) {
+    const due = await this.digestService.collectDue(now);
+
+    for (const { address, digest } of due) {
+      console.log(`🗞️ Digest ready for ${address}: ${digest.count} notifications`);
+      this.eventStream.publish(address, 'notification.digest', digest);
+
+      const alertIds = new Set(digest.notifications.map(item => item.alertId));
+      for (const alertId of alertIds) {
+        const alert = await this.repository.findById(alertId);
+        if (!alert) continue;
+
+        const items = digest.notifications.filter(item => item.alertId === alertId);
+        this.channels.dispatch(alert, 'notification.digest', { digest: { ...digest, count: items.length, notifications: items } })
+          .catch(error => console.error(`Error delivering digest for alert ${alert.id}:`, error.message));
+      }
+    }
+
+    return due.length;
+  }
+
+  /**
+   * Notification preferences (timezone, quiet hours, severity threshold, digest interval)
+   */
+  async getNotificationPreferences(address) {
+    return this.digestService.getPreferences(address);
+  }
+
+  async updateNotificationPreferences(address, changes) {
+    return this.digestService.updatePreferences(address, changes);
+  }
+
+  async getDigests(address, options) {
+    return this.digestService.getDigests(address, options);
   }
 
   /**
@@ -259,18 +1043,45 @@ export class AlertService {
   getAlertMessage(alert) {
     switch (alert.type) {
       case 'PRICE':
-        return `${alert.token} price ${alert.condition} ${alert.value}`;
+        return alert.value === undefined
+          ? `${alert.token} ${alert.condition.replace(/_/g, ' ').toLowerCase()}`
+          : `${alert.token} price ${alert.condition} ${alert.value}`;
       case 'RISK':
         return `Portfolio risk ${alert.condition} threshold`;
       case 'BALANCE':
         return `${alert.token} balance ${alert.condition} ${alert.value}`;
       case 'TRANSACTION':
+        if (alert.condition === 'TRANSFER') {
+          const match = alert.lastMatch;
+          if (!match) return 'Watched transfer detected on your wallet';
+          const label = match.direction === 'IN' ? 'Incoming' : 'Outgoing';
+          const preposition = match.direction === 'IN' ? 'from' : 'to';
+          return `${label} transfer of ${match.amount} ${match.token} (~$${Math.round(match.valueUSD)}) ${preposition} ${match.counterparty}`;
+        }
         return `Risky transaction detected on your wallet`;
+      case 'PORTFOLIO_VALUE':
+        return alert.condition.startsWith('CHANGE')
+          ? `Portfolio value ${alert.condition} ${alert.value}% since alert creation`
+          : `Portfolio value ${alert.condition} $${alert.value}`;
+      case 'ALLOCATION_DRIFT':
+        return `Portfolio allocation drifted more than ${alert.value} points from target`;
+      case 'COMPOSITE':
+        return `Composite alert: ${this.describeExpression(alert.expression)}`;
       default:
         return 'Alert triggered';
     }
   }
 
+  /**
+   * Human-readable form of a COMPOSITE expression
+   */
+  describeExpression(node) {
+    if (node.operator) {
+      return `(${node.conditions.map(child => this.describeExpression(child)).join(` ${node.operator} `)})`;
+    }
+    return this.getAlertMessage(node);
+  }
+
   /**
    * Determine alert severity
    */
@@ -278,9 +1089,17 @@ export class AlertService {
     if (alert.type === 'TRANSACTION' || alert.type === 'RISK') {
       return 'high';
     }
+    if (alert.type === 'COMPOSITE') {
+      return this.collectPredicates(alert.expression)
+        .some(node => node.type === 'TRANSACTION' || node.type === 'RISK') ? 'high' : 'medium';
+    }
     return 'medium';
   }
 
+  collectPredicates(node) {
+    return node.operator ? node.conditions.flatMap(child => this.collectPredicates(child)) : [node];
+  }
+
   /**
    * Generate unique alert ID
    */
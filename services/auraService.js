@@ -1,15 +1,19 @@
-// services/auraService.js - Aura API + CoinGecko fallback (hybrid live data)
+// services/auraService.js - Aura API wallet data + shared market data providers
 import axios from 'axios';
-import fetch from 'node-fetch';
-import { CacheService } from './cacheService.js';
+import { cache } from './cacheService.js';
+import { marketDataService } from './marketDataService.js';
+import { marketMetricsService } from './marketMetricsService.js';
+import { tokenRegistry, tokenKey } from './tokenRegistry.js';
 
 export class AuraService {
   constructor() {
-    this.cache = new CacheService();
+    this.cache = cache;
 
     // ✅ Use correct Aura Adex public API base URL
     this.baseURL = process.env.AURA_API_URL || 'https://aura.adex.network/api';
-    this.coingeckoBase = 'https://api.coingecko.com/api/v3';
+    this.marketData = marketDataService;
+    this.tokenRegistry = tokenRegistry;
+    this.marketMetrics = marketMetricsService;
 
     this.client = axios.create({
       baseURL: this.baseURL,
@@ -89,98 +93,123 @@ export class AuraService {
   }
 
   /**
-   * 💰 Token price (Aura → CoinGecko fallback)
+   * 💰 Token price (provider chain, see MarketDataService)
+   * With `consensus` every provider is asked and the median wins; the result then
+   * carries `sources`, `spread`, `confidence` and `stale` (PRICE_MODE=consensus makes it the default).
    */
-  async getTokenPrice(symbol) {
-    const cacheKey = `price:${symbol}`;
-    const cached = await this.cache.get(cacheKey);
-    if (cached) return cached;
+  async getTokenPrice(symbol, { consensus = process.env.PRICE_MODE === 'consensus' } = {}) {
+    const cacheKey = consensus ? `price:consensus:${symbol.toUpperCase()}` : `price:${symbol.toUpperCase()}`;
 
     try {
-      // ✅ Try Aura price endpoint
-      const response = await this.client.get(`/prices/${symbol}`);
-      const result = {
-        symbol,
-        current: response.data.price,
-        change24h: response.data.change24h,
-        marketCap: response.data.marketCap,
-        volume24h: response.data.volume24h,
-        source: 'AURA',
-      };
-      await this.cache.set(cacheKey, result, 300);
-      return result;
-    } catch (auraError) {
-      console.warn(`⚠️ Aura price failed for ${symbol}, using CoinGecko`);
-      try {
-        const idMap = { ETH: 'ethereum', BTC: 'bitcoin', AURA: 'aura-network', USDC: 'usd-coin' };
-        const id = idMap[symbol.toUpperCase()] || symbol.toLowerCase();
-
-        const res = await fetch(
-          `${this.coingeckoBase}/simple/price?ids=${id}&vs_currencies=usd&include_market_cap=true&include_24hr_vol=true&include_24hr_change=true`
-        );
-        const data = await res.json();
-        const priceInfo = data[id];
-        const result = {
-          symbol,
-          current: priceInfo.usd,
-          change24h: priceInfo.usd_24h_change,
-          marketCap: priceInfo.usd_market_cap,
-          volume24h: priceInfo.usd_24h_vol,
-          source: 'COINGECKO',
-        };
-        await this.cache.set(cacheKey, result, 300);
-        return result;
-      } catch (cgError) {
-        console.error('❌ Price fetch failed:', cgError.message);
-        return this.getMockPriceData(symbol);
+      // Consensus quotes back alert decisions, so keep them fresher and never serve them stale
+      return await this.cache.getOrLoad(cacheKey, async () => {
+        const options = await this.getPricingOptions([{ symbol }]);
+        const quote = consensus
+          ? await this.marketData.getConsensusPrice(symbol, options)
+          : await this.marketData.getPrice(symbol, options);
+        return this.toPriceData(symbol, quote, consensus);
+      }, consensus ? { ttl: 60 } : { ttl: 300, staleTtl: 300 });
+    } catch (error) {
+      console.error('❌ Price fetch failed:', error.message);
+      return this.getMockPriceData(symbol);
+    }
+  }
+
+  /**
+   * 💰 Consensus prices for many symbols (see getTokenPrice): cached symbols
+   * come from the cache, the rest are asked of every provider in one batch.
+   * Returns { SYMBOL: priceData }; symbols nobody priced are left out.
+   */
+  async getConsensusPrices(symbols) {
+    const prices = {};
+    const uncached = [];
+
+    for (const symbol of new Set(symbols.map(symbol => symbol.toUpperCase()))) {
+      const cached = await this.cache.get(`price:consensus:${symbol}`);
+      if (cached) prices[symbol] = cached;
+      else uncached.push(symbol);
+    }
+
+    if (uncached.length > 0) {
+      const options = await this.getPricingOptions(uncached.map(symbol => ({ symbol })));
+      const quotes = await this.marketData.getConsensusPrices(uncached, options);
+      for (const [symbol, quote] of Object.entries(quotes)) {
+        prices[symbol] = this.toPriceData(symbol, quote, true);
+        await this.cache.set(`price:consensus:${symbol}`, prices[symbol], 60);
       }
     }
+
+    return prices;
   }
 
   /**
-   * 🌍 Market conditions (Aura → CoinGecko fallback)
+   * 💰 Prices for many tokens: cached symbols come from the cache, the rest
+   * are requested together (one request per provider; AURA, which prices one
+   * symbol per request, only for a single symbol).
+   * Accepts symbols or { symbol, contractAddress, chain } (contracts resolve
+   * to an exact coin id, see TokenRegistry).
+   * Returns { prices: { SYMBOL: priceData }, missing: [symbols nobody priced],
+   * ambiguous: { SYMBOL: [candidate coins] } }
    */
-  async getMarketConditions() {
-    const cacheKey = 'market:conditions';
-    const cached = await this.cache.get(cacheKey);
-    if (cached) return cached;
+  async getTokenPrices(tokens) {
+    const bySymbol = new Map();
+    for (const token of tokens) {
+      const entry = typeof token === 'string' ? { symbol: token } : token;
+      const symbol = entry.symbol.toUpperCase();
+      if (!bySymbol.has(symbol) || entry.contractAddress) bySymbol.set(symbol, entry);
+    }
 
-    try {
-      // ✅ Try Aura market overview first
-      const response = await this.client.get(`/market/overview`);
-      const result = {
-        totalMarketCap: response.data.totalMarketCap,
-        btcDominance: response.data.btcDominance,
-        fearGreedIndex: response.data.fearGreedIndex,
-        trending: response.data.trending || [],
-        source: 'AURA',
-      };
-      await this.cache.set(cacheKey, result, 120);
-      return result;
-    } catch (auraError) {
-      console.warn('⚠️ Aura market API failed, using CoinGecko fallback');
-      try {
-        const [globalRes, trendingRes] = await Promise.all([
-          fetch(`${this.coingeckoBase}/global`),
-          fetch(`${this.coingeckoBase}/search/trending`),
-        ]);
-        const globalData = await globalRes.json();
-        const trendingData = await trendingRes.json();
-
-        const result = {
-          totalMarketCap: globalData.data.total_market_cap.usd,
-          btcDominance: globalData.data.market_cap_percentage.btc,
-          fearGreedIndex: 50,
-          trending: trendingData.coins.map((c) => c.item.symbol).slice(0, 5),
-          source: 'COINGECKO',
-        };
-        await this.cache.set(cacheKey, result, 120);
-        return result;
-      } catch (cgError) {
-        console.error('❌ Both Aura & CoinGecko failed:', cgError.message);
-        return this.getMockMarketConditions();
+    const prices = {};
+    const uncached = [];
+
+    for (const [symbol, entry] of bySymbol) {
+      const cached = await this.cache.get(this.priceCacheKey(entry));
+      if (cached) prices[symbol] = cached;
+      else uncached.push(symbol);
+    }
+
+    if (uncached.length > 0) {
+      const options = await this.getPricingOptions(uncached.map(symbol => bySymbol.get(symbol)));
+      const quotes = await this.marketData.getPrices(uncached, options);
+      for (const [symbol, quote] of Object.entries(quotes)) {
+        prices[symbol] = this.toPriceData(symbol, quote, false);
+        await this.cache.set(this.priceCacheKey(bySymbol.get(symbol)), prices[symbol], 300, { staleTtl: 300 });
       }
     }
+
+    const missing = [...bySymbol.keys()].filter(symbol => !prices[symbol]);
+    const ambiguous = {};
+    for (const symbol of missing) {
+      const resolution = await this.tokenRegistry.resolve(bySymbol.get(symbol));
+      if (resolution.status === 'ambiguous') ambiguous[symbol] = resolution.candidates;
+    }
+
+    return { prices, missing, ambiguous };
+  }
+
+  /**
+   * 🌍 Market conditions (see MarketMetricsService). Metrics that can't be
+   * obtained are null, with the reason listed in `unavailable`.
+   */
+  async getMarketConditions() {
+    return this.cache.getOrLoad('market:conditions', async () => {
+      const metrics = await this.marketMetrics.getMetrics();
+
+      if (Object.keys(metrics.unavailable).length > 0) {
+        console.warn('⚠️ Some market metrics unavailable:', Object.keys(metrics.unavailable).join(', '));
+      }
+      return {
+        totalMarketCap: metrics.totalMarketCap,
+        totalVolume24h: metrics.totalVolume24h,
+        btcDominance: metrics.btcDominance,
+        ethDominance: metrics.ethDominance,
+        fearGreedIndex: metrics.fearGreedIndex,
+        fearGreedClassification: metrics.fearGreedClassification,
+        trending: metrics.trending,
+        sources: metrics.sources,
+        unavailable: metrics.unavailable,
+      };
+    }, { ttl: 120, staleTtl: 300 });
   }
 
   /**
@@ -215,6 +244,51 @@ export class AuraService {
     };
   }
 
+  // ========== Helpers ==========
+  /**
+   * Market data options for pricing tokens ({ symbol, contractAddress, chain }):
+   * `coinIds` for contracts the registry knows (the exact coin), `requireIds`
+   * for symbols shared by several coins. Providers that only know symbols
+   * price neither, so a contract-pinned or ambiguous token is never guessed.
+   */
+  async getPricingOptions(tokens) {
+    const coinIds = {};
+    const requireIds = [];
+
+    for (const { symbol, contractAddress, chain } of tokens) {
+      const key = symbol.toUpperCase();
+      const resolution = await this.tokenRegistry.resolve({ symbol: key, contractAddress, chain });
+      if (contractAddress && resolution.id) coinIds[key] = resolution.id;
+      else if (resolution.status === 'ambiguous') requireIds.push(key);
+    }
+
+    return { coinIds, requireIds };
+  }
+
+  priceCacheKey({ symbol, contractAddress, chain }) {
+    return contractAddress
+      ? `price:${symbol.toUpperCase()}:${tokenKey({ contractAddress, chain })}`
+      : `price:${symbol.toUpperCase()}`;
+  }
+
+  toPriceData(symbol, quote, consensus) {
+    return {
+      symbol,
+      current: quote.price,
+      change24h: quote.change24h,
+      marketCap: quote.marketCap,
+      volume24h: quote.volume24h,
+      source: quote.source,
+      timestamp: quote.timestamp,
+      ...(consensus && {
+        sources: quote.sources,
+        spread: quote.spread,
+        confidence: quote.confidence,
+        stale: quote.stale,
+      }),
+    };
+  }
+
   // ========== Error Handler ==========
   handleError(error) {
     if (error.response) {
@@ -238,11 +312,12 @@ export class AuraService {
   }
 
   getMockTokenBalances() {
+    // Flagged like mock prices so alerts never act on made-up holdings
     return [
-      { symbol: 'AURA', name: 'Aura Network', balance: 5000, valueUSD: 2500 },
-      { symbol: 'ETH', name: 'Ethereum', balance: 0.5, valueUSD: 1800 },
-      { symbol: 'USDC', name: 'USD Coin', balance: 1000, valueUSD: 1000 },
-      { symbol: 'LINK', name: 'Chainlink', balance: 50, valueUSD: 850 },
+      { symbol: 'AURA', name: 'Aura Network', balance: 5000, valueUSD: 2500, source: 'MOCK' },
+      { symbol: 'ETH', name: 'Ethereum', balance: 0.5, valueUSD: 1800, source: 'MOCK' },
+      { symbol: 'USDC', name: 'USD Coin', balance: 1000, valueUSD: 1000, source: 'MOCK' },
+      { symbol: 'LINK', name: 'Chainlink', balance: 50, valueUSD: 850, source: 'MOCK' },
     ];
   }
 
@@ -274,16 +349,11 @@ export class AuraService {
       marketCap: data.current * 1e9,
       volume24h: data.current * 5e7,
       source: 'MOCK',
-    };
-  }
-
-  getMockMarketConditions() {
-    return {
-      totalMarketCap: 2.5e12,
-      btcDominance: 48.5,
-      fearGreedIndex: 65,
-      trending: ['BTC', 'ETH', 'AURA'],
-      source: 'MOCK',
+      // Never let mock prices drive decisions that check confidence
+      sources: [],
+      spread: null,
+      confidence: 'low',
+      stale: true,
     };
   }
 
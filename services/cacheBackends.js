@@ -0,0 +1,308 @@
+// services/cacheBackends.js - Cache storage backends (in-memory LRU, Redis)
+import { createClient } from 'redis';
+
+/**
+ * A backend is any object with:
+ *   name                      - shown in cache stats
+ *   get(key)                  - value or null
+ *   set(key, value, ttl)      - ttl in seconds, 0 = no expiry
+ *   delete(key), has(key), clear(), size()
+ *   keys(prefix)              - [{ key, ttl }] of live keys starting with prefix
+ *   ttl(key)                  - seconds until expiry, null = no expiry / missing
+ *   getStats()                - backend specific figures
+ */
+
+// Approximate memory footprint of a value (its JSON size)
+// How long RedisBackend reuses its key count: counting means a SCAN over the keyspace
+const KEY_COUNT_TTL_MS = 60 * 1000;
+
+const sizeOf = (value) => {
+  try {
+    return Buffer.byteLength(JSON.stringify(value) ?? '');
+  } catch {
+    return 0;
+  }
+};
+
+/**
+ * Bounded in-memory LRU. `onRemove(key, reason)` is told about every
+ * 'eviction' and 'expiration' so the cache can count them.
+ */
+export class MemoryBackend {
+  constructor({
+    maxEntries = parseInt(process.env.CACHE_MAX_ENTRIES) || 5000,
+    maxBytes = parseInt(process.env.CACHE_MAX_BYTES) || 50 * 1024 * 1024,
+    cleanupIntervalMs = 5 * 60 * 1000,
+    onRemove = () => {}
+  } = {}) {
+    this.name = 'memory';
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
+    this.onRemove = onRemove;
+
+    // key -> { value, expiresAt, bytes }; Map order is the LRU order (oldest first)
+    this.entries = new Map();
+    this.bytes = 0;
+
+    // Clean expired entries every 5 minutes (without keeping the process alive)
+    this.cleanupTimer = setInterval(() => this.cleanExpired(), cleanupIntervalMs);
+    this.cleanupTimer.unref?.();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    if (this.isExpired(entry)) {
+      this.expire(key);
+      return null;
+    }
+
+    // Mark as most recently used
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value ?? null;
+  }
+
+  async set(key, value, ttl) {
+    const bytes = sizeOf(value);
+    if (bytes > this.maxBytes) {
+      console.warn(`⚠️ Cache entry ${key} (${bytes} bytes) exceeds CACHE_MAX_BYTES, not cached`);
+      return false;
+    }
+
+    this.remove(key);
+    this.entries.set(key, {
+      value,
+      expiresAt: ttl > 0 ? Date.now() + (ttl * 1000) : null,
+      bytes
+    });
+    this.bytes += bytes;
+
+    this.evict();
+    return true;
+  }
+
+  async delete(key) {
+    this.remove(key);
+    return true;
+  }
+
+  async has(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return false;
+    if (this.isExpired(entry)) {
+      this.expire(key);
+      return false;
+    }
+    return true;
+  }
+
+  async clear() {
+    this.entries.clear();
+    this.bytes = 0;
+    return true;
+  }
+
+  async size() {
+    return this.entries.size;
+  }
+
+  async keys(prefix = '') {
+    const keys = [];
+    for (const [key, entry] of this.entries) {
+      if (key.startsWith(prefix) && !this.isExpired(entry)) keys.push({ key, ttl: this.secondsLeft(entry) });
+    }
+    return keys;
+  }
+
+  async ttl(key) {
+    const entry = this.entries.get(key);
+    return entry && !this.isExpired(entry) ? this.secondsLeft(entry) : null;
+  }
+
+  /**
+   * Entries, bytes and limits, plus entries/bytes per namespace (key prefix)
+   */
+  async getStats(namespaceOf) {
+    const namespaces = {};
+    for (const [key, entry] of this.entries) {
+      const namespace = namespaceOf(key);
+      namespaces[namespace] = namespaces[namespace] || { entries: 0, bytes: 0 };
+      namespaces[namespace].entries++;
+      namespaces[namespace].bytes += entry.bytes;
+    }
+
+    return {
+      size: this.entries.size,
+      bytes: this.bytes,
+      maxEntries: this.maxEntries,
+      maxBytes: this.maxBytes,
+      namespaces
+    };
+  }
+
+  // Private methods
+
+  isExpired(entry) {
+    return entry.expiresAt !== null && Date.now() > entry.expiresAt;
+  }
+
+  secondsLeft(entry) {
+    return entry.expiresAt === null ? null : Math.ceil((entry.expiresAt - Date.now()) / 1000);
+  }
+
+  remove(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return;
+    this.entries.delete(key);
+    this.bytes -= entry.bytes;
+  }
+
+  expire(key) {
+    this.remove(key);
+    this.onRemove(key, 'expiration');
+  }
+
+  // Drop least recently used entries until both limits hold
+  evict() {
+    while (this.entries.size > this.maxEntries || this.bytes > this.maxBytes) {
+      const oldest = this.entries.keys().next().value;
+      this.remove(oldest);
+      this.onRemove(oldest, 'eviction');
+    }
+  }
+
+  cleanExpired() {
+    for (const [key, entry] of this.entries) {
+      if (this.isExpired(entry)) this.expire(key);
+    }
+  }
+}
+
+/**
+ * Redis (or any Redis-protocol server: KeyDB, Dragonfly, Valkey). Values are
+ * stored as JSON under `prefix`, so clear() only touches this app's keys and
+ * several instances behind a load balancer share one cache.
+ */
+export class RedisBackend {
+  constructor({
+    url = process.env.REDIS_URL || 'redis://localhost:6379',
+    prefix = process.env.CACHE_KEY_PREFIX || 'aura:',
+    client
+  } = {}) {
+    this.name = 'redis';
+    this.prefix = prefix;
+    this.client = client || createClient({
+      url,
+      // Fail commands right away while disconnected so the cache can fall back to memory
+      disableOfflineQueue: true,
+      socket: {
+        connectTimeout: 5000,
+        reconnectStrategy: (retries) => Math.min(retries * 500, 5000)
+      }
+    });
+    this.connecting = null;
+    this.keyCount = null; // { value, countedAt }
+
+    let lastError = null;
+    this.client.on('error', (error) => {
+      // The client retries on its own; only log when the error changes
+      if (error.message !== lastError) console.warn('⚠️ Redis cache error:', error.message);
+      lastError = error.message;
+    });
+    this.client.on('ready', () => {
+      lastError = null;
+      console.log('🗄️ Redis cache connected');
+    });
+  }
+
+  async get(key) {
+    const raw = await (await this.connection()).get(this.prefix + key);
+    return raw === null ? null : JSON.parse(raw);
+  }
+
+  async set(key, value, ttl) {
+    const client = await this.connection();
+    await client.set(this.prefix + key, JSON.stringify(value ?? null), ttl > 0 ? { PX: Math.round(ttl * 1000) } : {});
+    return true;
+  }
+
+  async delete(key) {
+    await (await this.connection()).del(this.prefix + key);
+    return true;
+  }
+
+  async has(key) {
+    return (await (await this.connection()).exists(this.prefix + key)) === 1;
+  }
+
+  async clear() {
+    const client = await this.connection();
+    const keys = await this.scan();
+    for (let i = 0; i < keys.length; i += 500) {
+      await client.del(keys.slice(i, i + 500));
+    }
+    return true;
+  }
+
+  /**
+   * Number of this app's keys. DBSIZE without a prefix; with one, a SCAN
+   * whose result is reused for a minute so status checks stay cheap.
+   */
+  async size() {
+    if (this.keyCount && Date.now() - this.keyCount.countedAt < KEY_COUNT_TTL_MS) return this.keyCount.value;
+
+    const client = await this.connection();
+    const value = this.prefix ? (await this.scan()).length : await client.dbSize();
+    this.keyCount = { value, countedAt: Date.now() };
+    return value;
+  }
+
+  async keys(prefix = '') {
+    const client = await this.connection();
+    const keys = await this.scan(prefix);
+    const ttls = await Promise.all(keys.map(key => client.pTTL(key)));
+
+    return keys.map((key, i) => ({
+      key: key.slice(this.prefix.length),
+      ttl: ttls[i] < 0 ? null : Math.ceil(ttls[i] / 1000)
+    }));
+  }
+
+  async ttl(key) {
+    const ms = await (await this.connection()).pTTL(this.prefix + key);
+    return ms < 0 ? null : Math.ceil(ms / 1000);
+  }
+
+  async getStats() {
+    return {
+      size: await this.size(),
+      connected: this.client.isReady,
+      prefix: this.prefix
+    };
+  }
+
+  // Private methods
+
+  async connection() {
+    if (!this.connecting) {
+      this.connecting = this.client.connect().catch((error) => {
+        this.connecting = null;
+        throw error;
+      });
+    }
+    await this.connecting;
+    return this.client;
+  }
+
+  async scan(prefix = '') {
+    const client = await this.connection();
+    // Escape glob characters so the prefix matches literally
+    const pattern = `${this.prefix}${prefix}`.replace(/[*?[\]\\]/g, '\\$&') + '*';
+    const keys = [];
+    for await (const key of client.scanIterator({ MATCH: pattern, COUNT: 500 })) {
+      keys.push(key);
+    }
+    return keys;
+  }
+}
@@ -1,94 +1,286 @@
-// services/cacheService.js - Simple in-memory caching
+// services/cacheService.js - Shared cache with pluggable backends and hit/miss statistics
+import { CircuitBreaker } from './circuitBreaker.js';
+import { MemoryBackend, RedisBackend } from './cacheBackends.js';
+
+// Keys are namespaced by their prefix: "wallet:0xabc" lives in the "wallet" namespace
+const namespaceOf = (key) => {
+  const index = key.indexOf(':');
+  return index === -1 ? 'default' : key.slice(0, index);
+};
+
+const emptyCounters = () => ({
+  hits: 0, misses: 0, staleHits: 0, coalesced: 0, sets: 0, evictions: 0, expirations: 0
+});
+
+// Entries written with a staleTtl are wrapped so readers know when they went stale
+const isEnvelope = (value) => value !== null && typeof value === 'object' && value.__cache === 1;
+
 export class CacheService {
-  constructor() {
-    this.cache = new Map();
-    this.ttls = new Map();
-    
-    // Clean expired entries every 5 minutes
-    setInterval(() => this.cleanExpired(), 5 * 60 * 1000);
+  /**
+   * backend: 'memory' (default, CACHE_BACKEND), 'redis' or a backend object
+   * (see cacheBackends.js). Remote backends run behind a circuit breaker: while
+   * they are unreachable the bounded in-memory LRU is used instead.
+   * Other options (maxEntries, maxBytes) configure the in-memory LRU.
+   */
+  constructor({
+    backend = process.env.CACHE_BACKEND || 'memory',
+    timeoutMs = parseInt(process.env.CACHE_BACKEND_TIMEOUT_MS) || 1000,
+    statsTimeoutMs = parseInt(process.env.CACHE_STATS_TIMEOUT_MS) || 5000,
+    ...memoryOptions
+  } = {}) {
+    this.counters = emptyCounters();
+    this.namespaceCounters = new Map();
+    // key -> promise of the load in flight (single-flight, per instance)
+    this.loading = new Map();
+
+    this.memory = new MemoryBackend({
+      ...memoryOptions,
+      onRemove: (key, reason) => this.count(key, reason === 'eviction' ? 'evictions' : 'expirations')
+    });
+    this.backend = this.resolveBackend(backend);
+    this.breaker = new CircuitBreaker(`cache:${this.backend.name}`, {
+      failureThreshold: 1,
+      resetTimeoutMs: 30000,
+      timeoutMs
+    });
+    // Stats (key counts) may be slow on a large keyspace: they get their own
+    // breaker so a slow count never sends cache reads and writes to memory
+    this.statsBreaker = new CircuitBreaker(`cache:${this.backend.name}:stats`, {
+      failureThreshold: 1,
+      resetTimeoutMs: 30000,
+      timeoutMs: statsTimeoutMs
+    });
   }
 
   /**
-   * Store value in cache with optional TTL (in seconds)
+   * Store value in cache with optional TTL (in seconds, 0 = no expiry).
+   * With `staleTtl` the value is kept that much longer as stale (see getOrLoad).
    */
-  async set(key, value, ttl = 300) {
-    this.cache.set(key, value);
-    
-    if (ttl > 0) {
-      const expiresAt = Date.now() + (ttl * 1000);
-      this.ttls.set(key, expiresAt);
+  async set(key, value, ttl = 300, { staleTtl = 0 } = {}) {
+    this.count(key, 'sets');
+
+    if (ttl > 0 && staleTtl > 0) {
+      const envelope = { __cache: 1, value, freshUntil: Date.now() + (ttl * 1000) };
+      return this.run('set', key, envelope, ttl + staleTtl);
     }
-    
-    return true;
+    return this.run('set', key, value, ttl);
   }
 
   /**
-   * Retrieve value from cache
+   * Retrieve value from cache (null when missing, expired or stale: values
+   * stored with a staleTtl are only served stale through getOrLoad)
    */
   async get(key) {
-    // Check if expired
-    if (this.isExpired(key)) {
-      this.delete(key);
-      return null;
+    const entry = await this.getEntry(key);
+    const fresh = entry !== null && !entry.stale;
+    this.count(key, fresh ? 'hits' : 'misses');
+    return fresh ? entry.value : null;
+  }
+
+  /**
+   * Cached value, or the loader's result (cached for `ttl` seconds).
+   * Concurrent calls for a missing key share one loader call. Within `staleTtl`
+   * seconds after expiry the stale value is returned right away while one
+   * background load refreshes it. Loader errors reach the caller only when
+   * there's nothing to serve; null/undefined results are not cached.
+   */
+  async getOrLoad(key, loader, { ttl = 300, staleTtl = 0 } = {}) {
+    const entry = await this.getEntry(key);
+    this.count(key, entry ? 'hits' : 'misses');
+    if (entry && !entry.stale) return entry.value;
+
+    if (entry) {
+      this.count(key, 'staleHits');
+      this.load(key, loader, { ttl, staleTtl }).catch((error) => {
+        console.warn(`⚠️ Background refresh of ${key} failed, serving stale value: ${error.message}`);
+      });
+      return entry.value;
     }
-    
-    return this.cache.get(key) || null;
+
+    return this.load(key, loader, { ttl, staleTtl });
   }
 
   /**
    * Delete key from cache
    */
   async delete(key) {
-    this.cache.delete(key);
-    this.ttls.delete(key);
-    return true;
+    return this.run('delete', key);
   }
 
   /**
    * Clear all cache
    */
   async clear() {
-    this.cache.clear();
-    this.ttls.clear();
-    return true;
+    return this.run('clear');
   }
 
   /**
-   * Check if key exists and is not expired
+   * Check if key exists and is neither expired nor stale
    */
   async has(key) {
-    if (this.isExpired(key)) {
-      this.delete(key);
-      return false;
+    const entry = await this.getEntry(key);
+    return entry !== null && !entry.stale;
+  }
+
+  /**
+   * Number of entries currently cached
+   */
+  async size() {
+    return this.runStats('size');
+  }
+
+  /**
+   * Load a key now (e.g. to replace a bad value), sharing a load already in flight
+   */
+  async refresh(key, loader, { ttl = 300, staleTtl = 0 } = {}) {
+    return this.load(key, loader, { ttl, staleTtl });
+  }
+
+  /**
+   * Live keys starting with `prefix`: [{ key, namespace, ttl }] sorted by key,
+   * ttl in seconds (null = no expiry)
+   */
+  async keys(prefix = '') {
+    const keys = await this.run('keys', prefix);
+    return keys
+      .map(({ key, ttl }) => ({ key, namespace: namespaceOf(key), ttl }))
+      .sort((a, b) => a.key.localeCompare(b.key));
+  }
+
+  /**
+   * A cached value with its metadata, without counting as a hit or miss.
+   * `stale` / `freshUntil` are set for values stored with a staleTtl.
+   */
+  async inspect(key) {
+    const [stored, ttl] = await Promise.all([this.run('get', key), this.run('ttl', key)]);
+    if (stored === null) return null;
+
+    const envelope = isEnvelope(stored);
+    return {
+      key,
+      namespace: namespaceOf(key),
+      ttl,
+      stale: envelope ? Date.now() > stored.freshUntil : false,
+      freshUntil: envelope ? new Date(stored.freshUntil).toISOString() : null,
+      value: envelope ? stored.value : stored
+    };
+  }
+
+  /**
+   * Delete every key starting with `prefix`; returns how many were removed
+   */
+  async invalidate(prefix) {
+    const keys = await this.keys(prefix);
+    for (const { key } of keys) {
+      await this.delete(key);
     }
-    return this.cache.has(key);
+    return keys.length;
   }
 
   /**
-   * Get cache statistics
+   * Get cache statistics: backend figures, totals and per-namespace counters
    */
-  getStats() {
+  async getStats() {
+    const { namespaces: backendNamespaces = {}, ...backendStats } = await this.runStats('getStats', namespaceOf);
+
+    const namespaces = { ...backendNamespaces };
+    for (const [namespace, counters] of this.namespaceCounters) {
+      namespaces[namespace] = { ...namespaces[namespace], ...counters };
+    }
+
+    const lookups = this.counters.hits + this.counters.misses;
     return {
-      size: this.cache.size,
-      keys: Array.from(this.cache.keys())
+      backend: this.backend.name,
+      // A remote backend that is unreachable is replaced by memory
+      degraded: this.backend !== this.memory && this.breaker.state !== 'CLOSED',
+      ...backendStats,
+      ...this.counters,
+      hitRate: lookups > 0 ? parseFloat((this.counters.hits / lookups).toFixed(4)) : null,
+      namespaces
     };
   }
 
   // Private methods
 
-  isExpired(key) {
-    const expiresAt = this.ttls.get(key);
-    if (!expiresAt) return false;
-    return Date.now() > expiresAt;
+  /**
+   * { value, stale } or null when missing / expired (not counted as a hit or miss)
+   */
+  async getEntry(key) {
+    const stored = await this.run('get', key);
+    if (stored === null) return null;
+
+    return isEnvelope(stored)
+      ? { value: stored.value, stale: Date.now() > stored.freshUntil }
+      : { value: stored, stale: false };
+  }
+
+  load(key, loader, { ttl, staleTtl }) {
+    if (this.loading.has(key)) {
+      this.count(key, 'coalesced');
+      return this.loading.get(key);
+    }
+
+    const promise = (async () => {
+      const value = await loader();
+      if (value !== null && value !== undefined) await this.set(key, value, ttl, { staleTtl });
+      return value;
+    })().finally(() => this.loading.delete(key));
+
+    this.loading.set(key, promise);
+    return promise;
   }
 
-  cleanExpired() {
-    const now = Date.now();
-    for (const [key, expiresAt] of this.ttls.entries()) {
-      if (now > expiresAt) {
-        this.cache.delete(key);
-        this.ttls.delete(key);
+  resolveBackend(backend) {
+    if (typeof backend !== 'string') return backend;
+
+    switch (backend.toLowerCase()) {
+      case 'memory':
+        return this.memory;
+      case 'redis':
+        return new RedisBackend();
+      default:
+        console.warn(`⚠️ Unknown CACHE_BACKEND '${backend}', using memory`);
+        return this.memory;
+    }
+  }
+
+  /**
+   * Run an operation on the configured backend, on memory while it's unreachable
+   */
+  async run(operation, ...args) {
+    if (this.backend !== this.memory && this.breaker.isAvailable()) {
+      try {
+        return await this.breaker.exec(() => this.backend[operation](...args));
+      } catch (error) {
+        console.warn(`⚠️ ${this.backend.name} cache unavailable, using memory: ${error.message}`);
+      }
+    }
+    return this.memory[operation](...args);
+  }
+
+  /**
+   * Run a stats operation through the stats breaker, on memory while the
+   * backend is degraded (memory is what serves requests then) or the stats call fails
+   */
+  async runStats(operation, ...args) {
+    if (this.backend !== this.memory && this.breaker.state === 'CLOSED' && this.statsBreaker.isAvailable()) {
+      try {
+        return await this.statsBreaker.exec(() => this.backend[operation](...args));
+      } catch (error) {
+        console.warn(`⚠️ ${this.backend.name} cache stats unavailable, using memory: ${error.message}`);
       }
     }
+    return this.memory[operation](...args);
   }
-}
\ No newline at end of file
+
+  count(key, counter) {
+    this.counters[counter]++;
+
+    const namespace = namespaceOf(key);
+    if (!this.namespaceCounters.has(namespace)) this.namespaceCounters.set(namespace, emptyCounters());
+    this.namespaceCounters.get(namespace)[counter]++;
+  }
+}
+
+// Shared instance: every service caches into the same store
+export const cache = new CacheService();
@@ -0,0 +1,102 @@
+// services/circuitBreaker.js - Circuit breaker with call timeout for flaky upstreams
+import { CircuitOpenError } from '../utils/errors.js';
+
+/**
+ * CLOSED → (failureThreshold consecutive failures) → OPEN
+ * OPEN → (after resetTimeoutMs) → HALF_OPEN: one trial call closes or re-opens it
+ */
+export class CircuitBreaker {
+  constructor(name, { failureThreshold = 3, resetTimeoutMs = 60000, timeoutMs = 8000 } = {}) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.resetTimeoutMs = resetTimeoutMs;
+    this.timeoutMs = timeoutMs;
+
+    this.state = 'CLOSED';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+    this.stats = {
+      successes: 0,
+      failures: 0,
+      rejected: 0,
+      lastSuccessAt: null,
+      lastFailureAt: null,
+      lastError: null
+    };
+  }
+
+  /**
+   * Is a call allowed right now? Moves OPEN → HALF_OPEN once the reset timeout passed.
+   */
+  isAvailable(now = Date.now()) {
+    if (this.state === 'OPEN' && now - this.openedAt >= this.resetTimeoutMs) {
+      this.state = 'HALF_OPEN';
+    }
+    if (this.state === 'HALF_OPEN') return !this.trialInFlight;
+    return this.state === 'CLOSED';
+  }
+
+  /**
+   * Run fn through the breaker, failing it after timeoutMs
+   */
+  async exec(fn) {
+    if (!this.isAvailable()) {
+      this.stats.rejected++;
+      throw new CircuitOpenError(this.name, (this.openedAt || Date.now()) + this.resetTimeoutMs);
+    }
+
+    const isTrial = this.state === 'HALF_OPEN';
+    if (isTrial) this.trialInFlight = true;
+
+    let timer;
+    try {
+      const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`${this.name} timed out after ${this.timeoutMs}ms`)), this.timeoutMs);
+      });
+      const result = await Promise.race([fn(), timeout]);
+      this.onSuccess();
+      return result;
+    } catch (error) {
+      this.onFailure(error);
+      throw error;
+    } finally {
+      clearTimeout(timer);
+      if (isTrial) this.trialInFlight = false;
+    }
+  }
+
+  getStatus() {
+    this.isAvailable(); // refresh OPEN → HALF_OPEN
+    return {
+      name: this.name,
+      state: this.state,
+      consecutiveFailures: this.failures,
+      retryAt: this.state === 'OPEN' ? new Date(this.openedAt + this.resetTimeoutMs).toISOString() : null,
+      ...this.stats
+    };
+  }
+
+  // Private methods
+
+  onSuccess() {
+    this.state = 'CLOSED';
+    this.failures = 0;
+    this.openedAt = null;
+    this.stats.successes++;
+    this.stats.lastSuccessAt = new Date().toISOString();
+  }
+
+  onFailure(error) {
+    this.failures++;
+    this.stats.failures++;
+    this.stats.lastFailureAt = new Date().toISOString();
+    this.stats.lastError = error.message;
+
+    if (this.state === 'HALF_OPEN' || this.failures >= this.failureThreshold) {
+      if (this.state !== 'OPEN') console.warn(`🔌 Circuit opened for ${this.name}: ${error.message}`);
+      this.state = 'OPEN';
+      this.openedAt = Date.now();
+    }
+  }
+}
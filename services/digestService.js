@@ -0,0 +1,191 @@
+// services/digestService.js - Notification preferences, quiet hours and digest batching
+import crypto from 'crypto';
+import { JsonFileStore } from './jsonFileStore.js';
+
+export const SEVERITY_LEVELS = ['low', 'medium', 'high', 'critical'];
+export const DIGEST_INTERVALS = {
+  hourly: 60 * 60 * 1000,
+  daily: 24 * 60 * 60 * 1000
+};
+
+const MAX_DIGESTS_PER_ADDRESS = 50;
+
+// Defaults keep the original behaviour: every notification is delivered immediately
+const DEFAULT_PREFERENCES = {
+  timezone: 'UTC',
+  quietHours: null, // { start: '22:00', end: '07:00' } in the wallet's timezone
+  minImmediateSeverity: 'low',
+  digestInterval: 'hourly'
+};
+
+const normalizeAddress = (address) => (address || '').toLowerCase();
+
+export class DigestService {
+  constructor(filePath = process.env.DIGEST_STORE_PATH || 'storage/digests.json') {
+    this.store = new JsonFileStore(filePath, { preferences: {}, pending: {}, digests: {} });
+    this.preferences = new Map();
+    this.pending = new Map();
+    this.digests = new Map();
+
+    this.ready = this.load();
+  }
+
+  async load() {
+    try {
+      const data = await this.store.read();
+      Object.entries(data.preferences || {}).forEach(([key, value]) => this.preferences.set(key, value));
+      Object.entries(data.pending || {}).forEach(([key, value]) => this.pending.set(key, value));
+      Object.entries(data.digests || {}).forEach(([key, value]) => this.digests.set(key, value));
+    } catch (error) {
+      console.error('❌ Failed to load notification digests:', error.message);
+    }
+  }
+
+  async getPreferences(address) {
+    await this.ready;
+    return { ...DEFAULT_PREFERENCES, ...this.preferences.get(normalizeAddress(address)) };
+  }
+
+  async updatePreferences(address, changes) {
+    await this.ready;
+    const key = normalizeAddress(address);
+    const updated = {
+      ...DEFAULT_PREFERENCES,
+      ...this.preferences.get(key),
+      ...changes,
+      updatedAt: new Date().toISOString()
+    };
+
+    this.preferences.set(key, updated);
+    await this.persist();
+    return updated;
+  }
+
+  /**
+   * Decide how a notification is delivered: 'immediate' or 'digest'.
+   * Quiet hours batch everything; otherwise severity decides.
+   */
+  async route(address, severity, now = new Date()) {
+    const preferences = await this.getPreferences(address);
+
+    if (this.isQuietHours(preferences, now)) return 'digest';
+
+    const rank = SEVERITY_LEVELS.indexOf(severity);
+    const threshold = SEVERITY_LEVELS.indexOf(preferences.minImmediateSeverity);
+    return rank >= threshold ? 'immediate' : 'digest';
+  }
+
+  /**
+   * Queue a notification for the next digest
+   */
+  async enqueue(address, notification) {
+    await this.ready;
+    const key = normalizeAddress(address);
+    const queue = this.pending.get(key) || [];
+
+    queue.push(notification);
+    this.pending.set(key, queue);
+    await this.persist();
+  }
+
+  /**
+   * Build digests for every address whose interval has elapsed and that is
+   * outside quiet hours. Returns [{ address, digest }].
+   */
+  async collectDue(now = new Date()) {
+    await this.ready;
+    const due = [];
+
+    for (const [key, queue] of this.pending) {
+      if (queue.length === 0) continue;
+
+      const preferences = await this.getPreferences(key);
+      if (this.isQuietHours(preferences, now)) continue;
+
+      const interval = DIGEST_INTERVALS[preferences.digestInterval] || DIGEST_INTERVALS.hourly;
+      const since = preferences.lastDigestAt || queue[0].timestamp;
+      if (now.getTime() - new Date(since).getTime() < interval) continue;
+
+      const digest = {
+        id: `dgst_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+        address: key,
+        interval: preferences.digestInterval,
+        periodStart: since,
+        periodEnd: now.toISOString(),
+        count: queue.length,
+        bySeverity: this.countBySeverity(queue),
+        notifications: queue,
+        createdAt: now.toISOString()
+      };
+
+      const history = this.digests.get(key) || [];
+      history.unshift(digest);
+      this.digests.set(key, history.slice(0, MAX_DIGESTS_PER_ADDRESS));
+      this.pending.set(key, []);
+      this.preferences.set(key, { ...this.preferences.get(key), lastDigestAt: now.toISOString() });
+
+      due.push({ address: key, digest });
+    }
+
+    if (due.length > 0) await this.persist();
+    return due;
+  }
+
+  /**
+   * Past digests (newest first) plus what is waiting for the next one
+   */
+  async getDigests(address, { limit = 10 } = {}) {
+    await this.ready;
+    const key = normalizeAddress(address);
+
+    return {
+      digests: (this.digests.get(key) || []).slice(0, limit),
+      pending: this.pending.get(key) || []
+    };
+  }
+
+  /**
+   * Is `now` inside the wallet's quiet hours (ranges may wrap midnight)?
+   */
+  isQuietHours(preferences, now = new Date()) {
+    const { quietHours, timezone } = preferences;
+    if (!quietHours?.start || !quietHours?.end) return false;
+
+    const toMinutes = (time) => {
+      const [hours, minutes] = time.split(':').map(Number);
+      return hours * 60 + minutes;
+    };
+
+    const localTime = new Intl.DateTimeFormat('en-GB', {
+      timeZone: timezone || 'UTC',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).format(now);
+
+    const current = toMinutes(localTime);
+    const start = toMinutes(quietHours.start);
+    const end = toMinutes(quietHours.end);
+
+    return start <= end
+      ? current >= start && current < end
+      : current >= start || current < end;
+  }
+
+  // Private methods
+
+  countBySeverity(notifications) {
+    return notifications.reduce((counts, item) => {
+      counts[item.severity] = (counts[item.severity] || 0) + 1;
+      return counts;
+    }, {});
+  }
+
+  persist() {
+    return this.store.write({
+      preferences: Object.fromEntries(this.preferences),
+      pending: Object.fromEntries(this.pending),
+      digests: Object.fromEntries(this.digests)
+    });
+  }
+}
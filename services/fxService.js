@@ -0,0 +1,93 @@
+// services/fxService.js - Cached USD → fiat exchange rates for multi-currency responses
+import axios from 'axios';
+import { ServiceUnavailableError } from '../utils/errors.js';
+import { SUPPORTED_CURRENCIES } from '../middleware/validators.js';
+
+const FX_TTL_MS = (parseInt(process.env.FX_CACHE_TTL) || 3600) * 1000;
+
+export class FxService {
+  constructor() {
+    this.client = axios.create({ timeout: 10000 });
+    this.rates = null; // { rates: { EUR: 0.92, ... }, source, asOf, fetchedAt }
+    this.refreshing = null;
+  }
+
+  /**
+   * Converter for a currency: { currency, rate, source, asOf, convert(amountUSD) }.
+   * USD needs no rates; other currencies use the cached rates, refreshed every
+   * FX_CACHE_TTL seconds (the last good rates are kept if a refresh fails).
+   */
+  async getConverter(currency = 'usd') {
+    const code = currency.toUpperCase();
+
+    if (code === 'USD') {
+      return { currency: 'USD', rate: 1, source: null, asOf: null, convert: (amount) => amount };
+    }
+
+    const { rates, source, asOf } = await this.getRates();
+    const rate = rates[code];
+    if (!rate) throw new ServiceUnavailableError(`No exchange rate available for ${code}`);
+
+    return {
+      currency: code,
+      rate,
+      source,
+      asOf,
+      convert: (amount) => typeof amount === 'number' ? amount * rate : amount
+    };
+  }
+
+  async getRates() {
+    const fresh = this.rates && Date.now() - this.rates.fetchedAt < FX_TTL_MS;
+    if (fresh) return this.rates;
+
+    try {
+      this.refreshing = this.refreshing || this.fetchRates().finally(() => {
+        this.refreshing = null;
+      });
+      this.rates = await this.refreshing;
+    } catch (error) {
+      if (!this.rates) throw new ServiceUnavailableError(`Exchange rates unavailable: ${error.message}`);
+      console.warn('⚠️ FX refresh failed, using last known rates:', error.message);
+    }
+
+    return this.rates;
+  }
+
+  // Private methods
+
+  /**
+   * ECB reference rates (Frankfurter), CoinGecko's BTC-based rates as fallback
+   */
+  async fetchRates() {
+    const symbols = SUPPORTED_CURRENCIES.filter(code => code !== 'usd').map(code => code.toUpperCase());
+
+    try {
+      const { data } = await this.client.get('https://api.frankfurter.app/latest', {
+        params: { from: 'USD', to: symbols.join(',') }
+      });
+      return { rates: data.rates, source: 'ECB', asOf: data.date, fetchedAt: Date.now() };
+    } catch (error) {
+      console.warn('⚠️ Frankfurter FX rates unavailable, trying CoinGecko:', error.message);
+    }
+
+    const { data } = await this.client.get('https://api.coingecko.com/api/v3/exchange_rates');
+    const usd = data.rates.usd.value;
+    const rates = Object.fromEntries(symbols
+      .filter(code => data.rates[code.toLowerCase()])
+      .map(code => [code, data.rates[code.toLowerCase()].value / usd]));
+
+    return { rates, source: 'COINGECKO', asOf: new Date().toISOString(), fetchedAt: Date.now() };
+  }
+}
+
+// Shared instance so every controller reuses the cached rates
+export const fxService = new FxService();
+
+/**
+ * Response fields naming the currency (plus the rate used when converted)
+ */
+export const currencyFields = (fx) => ({
+  currency: fx.currency,
+  ...(fx.currency !== 'USD' && { fxRate: { rate: fx.rate, source: fx.source, asOf: fx.asOf } })
+});
@@ -1,5 +1,12 @@
 // services/heartbeatService.js
 import { AIService } from './aiService.js';
+import { priceHistoryService } from './priceHistoryService.js';
+
+// Symbols whose prices are recorded locally for /api/prices/:symbol/history fallback
+const HISTORY_SYMBOLS = (process.env.PRICE_HISTORY_SYMBOLS || 'BTC,ETH,USDT,USDC,AURA,LINK')
+  .split(',')
+  .map(symbol => symbol.trim().toUpperCase())
+  .filter(Boolean);
 
 export class HeartbeatService {
   constructor() {
@@ -24,6 +31,8 @@ export class HeartbeatService {
   }
 
   async pulse() {
+    this.recordPriceHistory();
+
     try {
       console.log("🔄 Heartbeat ping → refreshing market context (AURA + CoinGecko)...");
       const market = await this.ai.getMarketContext();
@@ -53,6 +62,16 @@ export class HeartbeatService {
     }
   }
 
+  // 📈 Keep the local price history store filled (independent of the AI refresh)
+  async recordPriceHistory() {
+    try {
+      const recorded = await priceHistoryService.recordLatest(HISTORY_SYMBOLS);
+      console.log(`📈 Recorded ${recorded}/${HISTORY_SYMBOLS.length} prices to local history`);
+    } catch (err) {
+      console.warn("⚠️ Price history snapshot failed:", err.message);
+    }
+  }
+
   // 🔍 Option 2 — helper for exposing refresh status via an API route
   getStatus() {
     return this.lastStatus;
@@ -0,0 +1,71 @@
+// services/indicators.js - Technical indicators over a price series (oldest → newest)
+
+/**
+ * Simple moving average of the last `period` values (null if not enough data)
+ */
+export function sma(values, period) {
+  if (values.length < period) return null;
+  const window = values.slice(-period);
+  return window.reduce((sum, value) => sum + value, 0) / period;
+}
+
+/**
+ * Relative Strength Index (Wilder's smoothing), 0-100
+ */
+export function rsi(values, period = 14) {
+  if (values.length < period + 1) return null;
+
+  let avgGain = 0;
+  let avgLoss = 0;
+
+  for (let i = 1; i <= period; i++) {
+    const change = values[i] - values[i - 1];
+    if (change > 0) avgGain += change;
+    else avgLoss -= change;
+  }
+  avgGain /= period;
+  avgLoss /= period;
+
+  for (let i = period + 1; i < values.length; i++) {
+    const change = values[i] - values[i - 1];
+    avgGain = (avgGain * (period - 1) + Math.max(change, 0)) / period;
+    avgLoss = (avgLoss * (period - 1) + Math.max(-change, 0)) / period;
+  }
+
+  if (avgLoss === 0) return avgGain === 0 ? 50 : 100;
+  const rs = avgGain / avgLoss;
+  return 100 - 100 / (1 + rs);
+}
+
+/**
+ * Bollinger bands: SMA ± stdDev * standard deviation over `period` values
+ */
+export function bollingerBands(values, period = 20, stdDev = 2) {
+  const middle = sma(values, period);
+  if (middle === null) return null;
+
+  const window = values.slice(-period);
+  const variance = window.reduce((sum, value) => sum + (value - middle) ** 2, 0) / period;
+  const deviation = Math.sqrt(variance);
+
+  return {
+    upper: middle + stdDev * deviation,
+    middle,
+    lower: middle - stdDev * deviation
+  };
+}
+
+/**
+ * Fast/slow SMA crossover on the latest sample: 'UP', 'DOWN' or null
+ */
+export function smaCrossover(values, fastPeriod, slowPeriod) {
+  if (values.length < slowPeriod + 1) return null;
+
+  const previous = values.slice(0, -1);
+  const previousDiff = sma(previous, fastPeriod) - sma(previous, slowPeriod);
+  const currentDiff = sma(values, fastPeriod) - sma(values, slowPeriod);
+
+  if (previousDiff <= 0 && currentDiff > 0) return 'UP';
+  if (previousDiff >= 0 && currentDiff < 0) return 'DOWN';
+  return null;
+}
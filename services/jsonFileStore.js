@@ -0,0 +1,43 @@
+// services/jsonFileStore.js - Tiny JSON file persistence helper
+import { promises as fs } from 'fs';
+import path from 'path';
+
+export class JsonFileStore {
+  constructor(filePath, defaultValue = {}) {
+    this.filePath = path.resolve(process.cwd(), filePath);
+    this.defaultValue = defaultValue;
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Read the file contents (default value if the file does not exist yet)
+   */
+  async read() {
+    try {
+      const raw = await fs.readFile(this.filePath, 'utf8');
+      return JSON.parse(raw);
+    } catch (error) {
+      if (error.code === 'ENOENT') return structuredClone(this.defaultValue);
+      throw error;
+    }
+  }
+
+  /**
+   * Write data to disk. Writes are queued and go through a temp file + rename
+   * so a crash mid-write never leaves a truncated file behind.
+   */
+  write(data) {
+    const payload = JSON.stringify(data, null, 2);
+
+    this.writeQueue = this.writeQueue
+      .catch(() => {})
+      .then(async () => {
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        const tmpPath = `${this.filePath}.tmp`;
+        await fs.writeFile(tmpPath, payload);
+        await fs.rename(tmpPath, this.filePath);
+      });
+
+    return this.writeQueue;
+  }
+}
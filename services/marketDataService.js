@@ -0,0 +1,295 @@
+// services/marketDataService.js - Prioritized market data providers behind circuit breakers
+import { CircuitBreaker } from './circuitBreaker.js';
+import { PROVIDER_FACTORIES, DEFAULT_PROVIDER_ORDER, createQuote, createBar } from './providers/index.js';
+
+// Consensus defaults: sources further than this from the median are outliers,
+// quotes older than this are stale
+const DEFAULT_DEVIATION_PCT = parseFloat(process.env.PRICE_DEVIATION_THRESHOLD_PCT) || 2;
+const DEFAULT_MAX_AGE_MS = parseInt(process.env.PRICE_MAX_AGE_MS) || 10 * 60 * 1000;
+
+const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const parseOrder = (value) => (value || '')
+  .split(',')
+  .map(name => name.trim().toLowerCase())
+  .filter(Boolean);
+
+export class MarketDataService {
+  /**
+   * providers: [{ name, getPrices(symbols), getMarketOverview?(), acceptsCoinIds?, maxBatchSize? }]
+   * in priority order.
+   * Defaults to MARKET_DATA_PROVIDERS (comma separated) or aura,coingecko,coinpaprika,cryptocompare.
+   */
+  constructor({
+    providers,
+    timeoutMs = parseInt(process.env.MARKET_DATA_TIMEOUT_MS) || 8000,
+    failureThreshold = parseInt(process.env.MARKET_DATA_FAILURE_THRESHOLD) || 3,
+    resetTimeoutMs = parseInt(process.env.MARKET_DATA_RESET_MS) || 60000
+  } = {}) {
+    this.providers = providers || this.createProviders(parseOrder(process.env.MARKET_DATA_PROVIDERS));
+    this.breakers = new Map(this.providers.map(provider => [
+      provider.name,
+      new CircuitBreaker(provider.name, { timeoutMs, failureThreshold, resetTimeoutMs })
+    ]));
+  }
+
+  /**
+   * Quote for one symbol from the first provider that has it
+   */
+  async getPrice(symbol, options) {
+    const quotes = await this.getPrices([symbol], options);
+    const quote = quotes[symbol.toUpperCase()];
+    if (!quote) throw new Error(`No market data provider returned a price for ${symbol}`);
+    return quote;
+  }
+
+  /**
+   * Quotes keyed by symbol. Symbols a provider misses fall through to the next one;
+   * symbols nobody knows are left out. `options` are passed to providers
+   * (e.g. `coinIds` resolved from contract addresses). Symbols in `coinIds` or
+   * `requireIds` (shared by several coins) are only priced by providers that
+   * accept coin ids, never by symbol. Providers are skipped for batches larger
+   * than their `maxBatchSize`.
+   */
+  async getPrices(symbols, options = {}) {
+    const quotes = {};
+    let remaining = [...new Set(symbols.map(symbol => symbol.toUpperCase()))];
+
+    for (const provider of this.providers) {
+      if (remaining.length === 0) break;
+
+      const allowed = this.symbolsFor(provider, remaining, options);
+      if (allowed.length === 0) continue;
+
+      const result = await this.call(provider, () => provider.getPrices(allowed, options));
+      if (!result) continue;
+
+      for (const quote of result) {
+        if (quote.price !== null && allowed.includes(quote.symbol)) quotes[quote.symbol] = quote;
+      }
+      remaining = remaining.filter(symbol => !quotes[symbol]);
+    }
+
+    return quotes;
+  }
+
+  /**
+   * Consensus quote for one symbol (see getConsensusPrices)
+   */
+  async getConsensusPrice(symbol, options) {
+    const quotes = await this.getConsensusPrices([symbol], options);
+    const quote = quotes[symbol.toUpperCase()];
+    if (!quote) throw new Error(`No market data provider returned a price for ${symbol}`);
+    return quote;
+  }
+
+  /**
+   * Ask every available provider in parallel and take the median price per symbol.
+   * Each quote gets `sources` (per provider: price, deviation, stale/outlier flags),
+   * `spread` (max-min of fresh prices, % of median) and `confidence`:
+   *   high   - at least two fresh sources agree and none deviate
+   *   medium - a single fresh source, or agreeing sources outnumber outliers
+   *   low    - only stale data, or no majority agrees on a price
+   * Provider options (`coinIds`, `requireIds`) restrict providers as in getPrices.
+   */
+  async getConsensusPrices(symbols, {
+    maxDeviationPct = DEFAULT_DEVIATION_PCT,
+    maxAgeMs = DEFAULT_MAX_AGE_MS,
+    ...providerOptions
+  } = {}) {
+    const wanted = [...new Set(symbols.map(symbol => symbol.toUpperCase()))];
+
+    const allowed = this.providers.map(provider => this.symbolsFor(provider, wanted, providerOptions));
+    const responses = await Promise.all(this.providers.map((provider, i) => allowed[i].length > 0
+      ? this.call(provider, () => provider.getPrices(allowed[i], providerOptions))
+      : null));
+
+    const bySymbol = new Map(wanted.map(symbol => [symbol, []]));
+    responses.forEach((quotes, i) => {
+      for (const quote of quotes || []) {
+        if (quote.price === null || !allowed[i].includes(quote.symbol)) continue;
+        bySymbol.get(quote.symbol).push({ ...quote, provider: this.providers[i].name });
+      }
+    });
+
+    const result = {};
+    for (const [symbol, quotes] of bySymbol) {
+      if (quotes.length > 0) result[symbol] = this.buildConsensus(symbol, quotes, { maxDeviationPct, maxAgeMs });
+    }
+    return result;
+  }
+
+  /**
+   * OHLC bars ({ timestamp, open, high, low, close }, oldest first) for the
+   * last `days`. Provider OHLC (`getOhlc`, bars no longer than `intervalMs`)
+   * wins; otherwise price samples (`getHistory`) come back as flat bars with
+   * `ohlc: false`.
+   */
+  async getHistory(symbol, { days, intervalMs, ...options }) {
+    for (const provider of this.providers) {
+      if (typeof provider.getOhlc !== 'function') continue;
+
+      const bars = await this.call(provider, () => provider.getOhlc(symbol, { days, intervalMs, ...options }));
+      if (bars?.length) {
+        return { bars: bars.sort((a, b) => a.timestamp - b.timestamp), source: provider.name.toUpperCase(), ohlc: true };
+      }
+    }
+
+    for (const provider of this.providers) {
+      if (typeof provider.getHistory !== 'function') continue;
+
+      const samples = await this.call(provider, () => provider.getHistory(symbol, { days, ...options }));
+      if (samples?.length) {
+        return {
+          bars: samples
+            .map(({ timestamp, price }) => createBar(timestamp, { close: price }))
+            .sort((a, b) => a.timestamp - b.timestamp),
+          source: provider.name.toUpperCase(),
+          ohlc: false
+        };
+      }
+    }
+
+    throw new Error(`No market data provider returned history for ${symbol}`);
+  }
+
+  /**
+   * Global market overview from the first provider that supports it
+   */
+  async getMarketOverview() {
+    for (const provider of this.providers) {
+      if (typeof provider.getMarketOverview !== 'function') continue;
+
+      const overview = await this.call(provider, () => provider.getMarketOverview());
+      if (overview) return overview;
+    }
+
+    throw new Error('No market data provider returned a market overview');
+  }
+
+  /**
+   * Provider order and circuit breaker state, for /api/status
+   */
+  getHealth() {
+    const providers = this.providers.map(provider => ({
+      ...this.breakers.get(provider.name).getStatus(),
+      capabilities: [
+        'prices',
+        ...(typeof provider.getMarketOverview === 'function' ? ['overview'] : []),
+        ...(typeof provider.getOhlc === 'function' ? ['ohlc'] : []),
+        ...(typeof provider.getHistory === 'function' ? ['history'] : [])
+      ]
+    }));
+
+    return {
+      status: providers.every(provider => provider.state === 'OPEN') ? 'down'
+        : providers.some(provider => provider.state !== 'CLOSED') ? 'degraded'
+          : 'ok',
+      order: this.providers.map(provider => provider.name),
+      providers
+    };
+  }
+
+  // Private methods
+
+  buildConsensus(symbol, quotes, { maxDeviationPct, maxAgeMs }) {
+    const now = Date.now();
+    const sources = quotes.map(quote => ({
+      provider: quote.provider,
+      source: quote.source,
+      price: quote.price,
+      timestamp: quote.timestamp,
+      // A quote without a timestamp can't be shown to be fresh
+      stale: !quote.timestamp || now - new Date(quote.timestamp).getTime() > maxAgeMs
+    }));
+
+    const fresh = sources.filter(source => !source.stale);
+    // With nothing fresh, fall back to the stale quotes (flagged as such)
+    const candidates = fresh.length > 0 ? fresh : sources;
+    const mid = median(candidates.map(source => source.price));
+
+    for (const source of sources) {
+      source.deviationPct = mid ? parseFloat(((source.price - mid) / mid * 100).toFixed(4)) : null;
+      source.outlier = !source.stale && Math.abs(source.deviationPct) > maxDeviationPct;
+      if (source.outlier) {
+        console.warn(`⚠️ ${source.provider} ${symbol} price ${source.price} deviates ${source.deviationPct}% from median ${mid}`);
+      }
+    }
+
+    const agreeing = candidates.filter(source => !source.outlier);
+    const outliers = sources.filter(source => source.outlier).length;
+    const prices = candidates.map(source => source.price);
+
+    let confidence = 'low';
+    if (fresh.length > 0 && agreeing.length > outliers) {
+      confidence = agreeing.length >= 2 && outliers === 0 ? 'high' : 'medium';
+    }
+
+    // Secondary fields are taken from agreeing sources only
+    const agreeingQuotes = quotes.filter(quote => agreeing.some(source => source.provider === quote.provider));
+    const medianOf = (field) => median(agreeingQuotes.map(quote => quote[field]).filter(value => value !== null));
+    const timestamps = candidates.filter(source => source.timestamp).map(source => new Date(source.timestamp).getTime());
+
+    return {
+      ...createQuote({
+        symbol,
+        price: agreeing.length > 0 ? median(agreeing.map(source => source.price)) : mid,
+        change24h: medianOf('change24h'),
+        marketCap: medianOf('marketCap'),
+        volume24h: medianOf('volume24h'),
+        source: 'CONSENSUS',
+        timestamp: timestamps.length > 0 ? Math.max(...timestamps) : null
+      }),
+      sources,
+      spread: mid ? parseFloat(((Math.max(...prices) - Math.min(...prices)) / mid * 100).toFixed(4)) : null,
+      confidence,
+      stale: fresh.length === 0
+    };
+  }
+
+  /**
+   * Symbols a provider may price in one call: providers without coin id support
+   * skip symbols pinned to a coin id or shared by several coins; none at all
+   * when there are more than the provider's `maxBatchSize`
+   */
+  symbolsFor(provider, symbols, { coinIds = {}, requireIds = [] } = {}) {
+    let allowed = symbols;
+    if (!provider.acceptsCoinIds) {
+      const pinned = new Set([...Object.keys(coinIds), ...requireIds].map(symbol => symbol.toUpperCase()));
+      allowed = symbols.filter(symbol => !pinned.has(symbol));
+    }
+    return allowed.length > (provider.maxBatchSize ?? Infinity) ? [] : allowed;
+  }
+
+  async call(provider, fn) {
+    const breaker = this.breakers.get(provider.name);
+    if (!breaker.isAvailable()) return null;
+
+    try {
+      return await breaker.exec(fn);
+    } catch (error) {
+      console.warn(`⚠️ ${provider.name} market data failed: ${error.message}`);
+      return null;
+    }
+  }
+
+  createProviders(order) {
+    const names = order.length > 0 ? order : DEFAULT_PROVIDER_ORDER;
+
+    return names
+      .filter(name => {
+        if (PROVIDER_FACTORIES[name]) return true;
+        console.warn(`⚠️ Unknown market data provider '${name}' ignored`);
+        return false;
+      })
+      .map(name => PROVIDER_FACTORIES[name]());
+  }
+}
+
+// Shared instance so every service sees the same circuit breaker state
+export const marketDataService = new MarketDataService();
@@ -0,0 +1,119 @@
+// services/marketMetricsService.js - Fear & greed index, dominance and total market cap
+import axios from 'axios';
+import { cache } from './cacheService.js';
+import { CircuitBreaker } from './circuitBreaker.js';
+import { marketDataService } from './marketDataService.js';
+
+const METRICS_TTL_SECONDS = 300;
+
+const reasonOf = (result) => result.reason?.message || String(result.reason);
+
+export class MarketMetricsService {
+  constructor({
+    marketData = marketDataService,
+    fearGreedURL = process.env.FEAR_GREED_API_URL || 'https://api.alternative.me/fng/'
+  } = {}) {
+    this.marketData = marketData;
+    this.fearGreedURL = fearGreedURL;
+    this.client = axios.create({ timeout: 10000 });
+    this.fearGreedBreaker = new CircuitBreaker('feargreed');
+    this.cache = cache;
+  }
+
+  /**
+   * Global market metrics. Values that cannot be obtained are null and the
+   * reason is listed under `unavailable`; `sources` says where each value came from.
+   */
+  async getMetrics() {
+    const cached = await this.cache.get('market:metrics');
+    if (cached) return cached;
+
+    const [overviewResult, quotesResult, fearGreedResult] = await Promise.allSettled([
+      this.marketData.getMarketOverview(),
+      this.marketData.getPrices(['BTC', 'ETH']),
+      this.getFearGreed()
+    ]);
+
+    const overview = overviewResult.status === 'fulfilled' ? overviewResult.value : null;
+    const quotes = quotesResult.status === 'fulfilled' ? quotesResult.value : {};
+    const noOverview = overview ? null : `No global market data: ${reasonOf(overviewResult)}`;
+
+    const metrics = {
+      totalMarketCap: null,
+      totalVolume24h: null,
+      btcDominance: null,
+      ethDominance: null,
+      fearGreedIndex: null,
+      fearGreedClassification: null,
+      trending: overview?.trending || [],
+      sources: {},
+      unavailable: {}
+    };
+
+    const set = (field, value, source) => {
+      metrics[field] = value;
+      metrics.sources[field] = source;
+    };
+    const missing = (field, reason) => {
+      metrics.unavailable[field] = reason;
+    };
+
+    // Totals only come from global market data - never from a sum of a few coins
+    for (const field of ['totalMarketCap', 'totalVolume24h']) {
+      if (overview?.[field] != null) set(field, overview[field], overview.source);
+      else missing(field, noOverview || `${overview.source} did not report ${field}`);
+    }
+
+    // Dominance: as reported, otherwise the coin's market cap share of the total
+    for (const [field, symbol] of [['btcDominance', 'BTC'], ['ethDominance', 'ETH']]) {
+      const marketCap = quotes[symbol]?.marketCap;
+
+      if (overview?.[field] != null) {
+        set(field, overview[field], overview.source);
+      } else if (metrics.totalMarketCap && marketCap) {
+        set(field, parseFloat((marketCap / metrics.totalMarketCap * 100).toFixed(2)), 'COMPUTED');
+      } else {
+        missing(field, !metrics.totalMarketCap
+          ? 'Total market cap unavailable'
+          : `No ${symbol} market cap to compute dominance from`);
+      }
+    }
+
+    if (fearGreedResult.status === 'fulfilled') {
+      set('fearGreedIndex', fearGreedResult.value.value, 'ALTERNATIVE_ME');
+      metrics.fearGreedClassification = fearGreedResult.value.classification;
+    } else if (overview?.fearGreedIndex != null) {
+      set('fearGreedIndex', overview.fearGreedIndex, overview.source);
+    } else {
+      missing('fearGreedIndex', `Fear & greed index unavailable: ${reasonOf(fearGreedResult)}`);
+    }
+
+    metrics.timestamp = new Date().toISOString();
+
+    // Incomplete metrics are retried sooner
+    const complete = Object.keys(metrics.unavailable).length === 0;
+    await this.cache.set('market:metrics', metrics, complete ? METRICS_TTL_SECONDS : 60);
+    return metrics;
+  }
+
+  /**
+   * Latest Crypto Fear & Greed Index (alternative.me): { value 0-100, classification, timestamp }
+   */
+  async getFearGreed() {
+    return this.fearGreedBreaker.exec(async () => {
+      const { data } = await this.client.get(this.fearGreedURL, { params: { limit: 1 } });
+      const latest = data?.data?.[0];
+      const value = parseInt(latest?.value);
+      if (!Number.isFinite(value)) throw new Error('Fear & greed response had no value');
+
+      return {
+        value,
+        classification: latest.value_classification || null,
+        timestamp: new Date(parseInt(latest.timestamp) * 1000).toISOString()
+      };
+    });
+  }
+}
+
+// Shared instance so the metrics cache and fear & greed breaker are shared
+export const marketMetricsService = new MarketMetricsService();
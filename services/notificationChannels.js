@@ -0,0 +1,194 @@
+// services/notificationChannels.js - Pluggable notification channels (webhook, email, chat)
+import axios from 'axios';
+import nodemailer from 'nodemailer';
+import { publicOnlyRequestOptions } from '../utils/network.js';
+
+/**
+ * Channel registry. A channel is any object with:
+ *   name                        - unique id used in alert.channels
+ *   isConfigured(alert)         - alert has what the channel needs (URL, email, ...)
+ *   send(alert, event, data)    - deliver { notification } or { digest }
+ */
+export class NotificationChannelRegistry {
+  constructor() {
+    this.channels = new Map();
+  }
+
+  register(channel) {
+    if (!channel?.name || typeof channel.send !== 'function') {
+      throw new Error('Notification channels need a name and a send(alert, event, data) method');
+    }
+    this.channels.set(channel.name, channel);
+    return this;
+  }
+
+  get(name) {
+    return this.channels.get(name);
+  }
+
+  has(name) {
+    return this.channels.has(name);
+  }
+
+  list() {
+    return Array.from(this.channels.keys());
+  }
+
+  /**
+   * Channels used for an alert: its explicit `channels` list, otherwise
+   * every channel the alert is configured for.
+   */
+  resolve(alert) {
+    if (Array.isArray(alert.channels) && alert.channels.length > 0) {
+      return alert.channels.map(name => this.channels.get(name)).filter(Boolean);
+    }
+    return Array.from(this.channels.values()).filter(channel => channel.isConfigured(alert));
+  }
+
+  /**
+   * Send through every channel of the alert. Channels run in parallel and a
+   * failing channel never blocks the others.
+   */
+  async dispatch(alert, event, data) {
+    const channels = this.resolve(alert);
+
+    const results = await Promise.allSettled(
+      channels.map(channel => channel.send(alert, event, data))
+    );
+
+    return results.map((result, i) => {
+      const channel = channels[i].name;
+      if (result.status === 'rejected') {
+        console.error(`❌ ${channel} channel failed for alert ${alert.id}:`, result.reason?.message);
+        return { channel, status: 'failed', error: result.reason?.message };
+      }
+      return { channel, status: 'sent' };
+    });
+  }
+}
+
+/**
+ * Signed webhook with retries (see WebhookService)
+ */
+export class WebhookChannel {
+  constructor(webhookService) {
+    this.name = 'webhook';
+    this.webhookService = webhookService;
+  }
+
+  isConfigured(alert) {
+    return Boolean(alert.webhookUrl);
+  }
+
+  async send(alert, event, data) {
+    if (!this.isConfigured(alert)) throw new Error('Alert has no webhookUrl');
+    return this.webhookService.deliver(alert, data, event);
+  }
+}
+
+/**
+ * SMTP email. Point SMTP_HOST/SMTP_PORT at a local sink (e.g. MailHog on 1025) for testing.
+ */
+export class EmailChannel {
+  constructor({
+    host = process.env.SMTP_HOST,
+    port = parseInt(process.env.SMTP_PORT) || 587,
+    secure = process.env.SMTP_SECURE === 'true',
+    user = process.env.SMTP_USER,
+    pass = process.env.SMTP_PASS,
+    from = process.env.SMTP_FROM || 'AURA SmartWallet <alerts@localhost>'
+  } = {}) {
+    this.name = 'email';
+    this.from = from;
+    this.transporter = host
+      ? nodemailer.createTransport({
+        host,
+        port,
+        secure,
+        ...(user && { auth: { user, pass } })
+      })
+      : null;
+  }
+
+  isConfigured(alert) {
+    return Boolean(this.transporter && alert.email);
+  }
+
+  async send(alert, event, data) {
+    if (!this.transporter) throw new Error('SMTP is not configured (SMTP_HOST)');
+    if (!alert.email) throw new Error('Alert has no email address');
+
+    const { subject, text } = formatMessage(alert, event, data);
+
+    return this.transporter.sendMail({
+      from: this.from,
+      to: alert.email,
+      subject,
+      text
+    });
+  }
+}
+
+/**
+ * Slack / Discord style incoming webhook
+ */
+export class ChatWebhookChannel {
+  constructor({ timeoutMs = 10000 } = {}) {
+    this.name = 'chat';
+    this.timeoutMs = timeoutMs;
+  }
+
+  isConfigured(alert) {
+    return Boolean(alert.chatWebhookUrl);
+  }
+
+  async send(alert, event, data) {
+    if (!alert.chatWebhookUrl) throw new Error('Alert has no chatWebhookUrl');
+
+    const { subject, text } = formatMessage(alert, event, data);
+    const format = alert.chatFormat || (alert.chatWebhookUrl.includes('discord') ? 'discord' : 'slack');
+
+    const payload = format === 'discord'
+      ? { content: `**${subject}**\n${text}` }
+      : { text: `*${subject}*\n${text}` };
+
+    return axios.post(alert.chatWebhookUrl, payload, {
+      ...publicOnlyRequestOptions(alert.chatWebhookUrl),
+      timeout: this.timeoutMs
+    });
+  }
+}
+
+/**
+ * Registry with the built-in channels
+ */
+export function createDefaultChannelRegistry(webhookService) {
+  return new NotificationChannelRegistry()
+    .register(new WebhookChannel(webhookService))
+    .register(new EmailChannel())
+    .register(new ChatWebhookChannel());
+}
+
+// Plain-text subject/body shared by email and chat channels
+function formatMessage(alert, event, data) {
+  if (event === 'notification.digest') {
+    const { digest } = data;
+    return {
+      subject: `🗞️ ${digest.count} alert notifications (${digest.interval} digest)`,
+      text: digest.notifications
+        .map(item => `• [${item.severity}] ${item.message} (${item.timestamp})`)
+        .join('\n')
+    };
+  }
+
+  const { notification } = data;
+  return {
+    subject: `🔔 ${notification.message}`,
+    text: [
+      `Wallet: ${alert.address}`,
+      `Alert: ${alert.type} (${alert.id})`,
+      `Severity: ${notification.severity}`,
+      `Time: ${notification.timestamp}`
+    ].join('\n')
+  };
+}
@@ -0,0 +1,121 @@
+// services/notificationService.js - Per-wallet notification inbox
+import crypto from 'crypto';
+import { JsonFileStore } from './jsonFileStore.js';
+
+const MAX_NOTIFICATIONS_PER_ADDRESS = 500;
+
+const normalizeAddress = (address) => (address || '').toLowerCase();
+
+export class NotificationService {
+  constructor(filePath = process.env.NOTIFICATION_STORE_PATH || 'storage/notifications.json') {
+    this.store = new JsonFileStore(filePath, { inboxes: {} });
+    this.inboxes = new Map();
+
+    this.ready = this.load();
+  }
+
+  async load() {
+    try {
+      const data = await this.store.read();
+      Object.entries(data.inboxes || {}).forEach(([address, items]) => {
+        this.inboxes.set(address, items);
+      });
+    } catch (error) {
+      console.error('❌ Failed to load notifications:', error.message);
+    }
+  }
+
+  /**
+   * Store a notification in the wallet's inbox
+   */
+  async add(address, notification) {
+    await this.ready;
+    const key = normalizeAddress(address);
+
+    const stored = {
+      id: `ntf_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+      ...notification,
+      read: false,
+      readAt: null
+    };
+
+    const inbox = this.inboxes.get(key) || [];
+    inbox.unshift(stored);
+    this.inboxes.set(key, inbox.slice(0, MAX_NOTIFICATIONS_PER_ADDRESS));
+
+    await this.persist();
+    return stored;
+  }
+
+  /**
+   * List notifications, newest first
+   * @param {Object} options - { page, limit, severity: string[], unreadOnly }
+   */
+  async list(address, { page = 1, limit = 20, severity = [], unreadOnly = false } = {}) {
+    await this.ready;
+    const inbox = this.inboxes.get(normalizeAddress(address)) || [];
+
+    const filtered = inbox.filter(item =>
+      (severity.length === 0 || severity.includes(item.severity)) &&
+      (!unreadOnly || !item.read)
+    );
+
+    const start = (page - 1) * limit;
+
+    return {
+      notifications: filtered.slice(start, start + limit),
+      unreadCount: inbox.filter(item => !item.read).length,
+      pagination: {
+        page,
+        limit,
+        total: filtered.length,
+        pages: Math.ceil(filtered.length / limit)
+      }
+    };
+  }
+
+  /**
+   * Mark one notification as read, returns null if not found
+   */
+  async markRead(address, notificationId) {
+    await this.ready;
+    const inbox = this.inboxes.get(normalizeAddress(address)) || [];
+    const notification = inbox.find(item => item.id === notificationId);
+    if (!notification) return null;
+
+    if (!notification.read) {
+      notification.read = true;
+      notification.readAt = new Date().toISOString();
+      await this.persist();
+    }
+
+    return notification;
+  }
+
+  /**
+   * Mark every notification as read, returns how many changed
+   */
+  async markAllRead(address) {
+    await this.ready;
+    const inbox = this.inboxes.get(normalizeAddress(address)) || [];
+    const readAt = new Date().toISOString();
+    let updated = 0;
+
+    inbox.forEach(item => {
+      if (!item.read) {
+        item.read = true;
+        item.readAt = readAt;
+        updated++;
+      }
+    });
+
+    if (updated > 0) await this.persist();
+    return updated;
+  }
+
+  // Private methods
+
+  persist() {
+    return this.store.write({ inboxes: Object.fromEntries(this.inboxes) });
+  }
+}
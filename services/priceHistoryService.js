@@ -0,0 +1,131 @@
+// services/priceHistoryService.js - OHLC candles from provider history, with a local fallback store
+import { cache } from './cacheService.js';
+import { JsonFileStore } from './jsonFileStore.js';
+import { marketDataService } from './marketDataService.js';
+import { createBar } from './providers/index.js';
+import { PRICE_HISTORY_RANGES, PRICE_HISTORY_INTERVALS } from '../middleware/validators.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Heartbeat samples kept per symbol (~35 days at one sample per 10 minutes)
+const MAX_LOCAL_SAMPLES = 5000;
+
+// Longer ranges change slowly, so they are cached longer (seconds)
+const cacheTtlFor = (rangeMs) => rangeMs <= DAY_MS ? 300 : rangeMs <= 7 * DAY_MS ? 900 : 3600;
+
+export class PriceHistoryService {
+  constructor({
+    marketData = marketDataService,
+    filePath = process.env.PRICE_HISTORY_STORE_PATH || 'storage/price-history.json'
+  } = {}) {
+    this.marketData = marketData;
+    this.cache = cache;
+    this.store = new JsonFileStore(filePath, { series: {} });
+    this.series = new Map();
+
+    this.ready = this.load();
+  }
+
+  async load() {
+    try {
+      const data = await this.store.read();
+      Object.entries(data.series || {}).forEach(([symbol, samples]) => this.series.set(symbol, samples));
+    } catch (error) {
+      console.error('❌ Failed to load price history:', error.message);
+    }
+  }
+
+  /**
+   * OHLC candles for a symbol. Provider history is cached per range and interval;
+   * when every provider fails the locally recorded heartbeat samples are used instead.
+   * `ohlc` is false when candles were built from price samples rather than provider OHLC.
+   */
+  async getCandles(symbol, { range = '7d', interval = '1h' } = {}) {
+    const key = symbol.toUpperCase();
+    const rangeMs = PRICE_HISTORY_RANGES[range];
+    const intervalMs = PRICE_HISTORY_INTERVALS[interval];
+
+    const cacheKey = `history:${key}:${range}:${interval}`;
+    let history = await this.cache.get(cacheKey);
+
+    if (!history) {
+      try {
+        history = await this.marketData.getHistory(key, { days: Math.ceil(rangeMs / DAY_MS), intervalMs });
+        await this.cache.set(cacheKey, history, cacheTtlFor(rangeMs));
+      } catch (error) {
+        console.warn(`⚠️ Upstream history unavailable for ${key}, using local samples: ${error.message}`);
+        history = { bars: await this.getLocalBars(key, Date.now() - rangeMs), source: 'LOCAL', ohlc: false };
+      }
+    }
+
+    const candles = this.toCandles(history.bars, intervalMs);
+
+    return {
+      symbol: key,
+      vs: 'usd',
+      range,
+      interval,
+      source: history.source,
+      fallback: history.source === 'LOCAL',
+      ohlc: history.ohlc,
+      count: candles.length,
+      candles
+    };
+  }
+
+  /**
+   * Record the current price of each symbol into the local store (called by the heartbeat)
+   */
+  async recordLatest(symbols) {
+    await this.ready;
+    const quotes = await this.marketData.getPrices(symbols);
+    const now = Date.now();
+
+    for (const [symbol, quote] of Object.entries(quotes)) {
+      const samples = this.series.get(symbol) || [];
+      samples.push([now, quote.price]);
+      if (samples.length > MAX_LOCAL_SAMPLES) samples.splice(0, samples.length - MAX_LOCAL_SAMPLES);
+      this.series.set(symbol, samples);
+    }
+
+    await this.store.write({ series: Object.fromEntries(this.series) });
+    return Object.keys(quotes).length;
+  }
+
+  // Private methods
+
+  // Heartbeat samples as flat bars
+  async getLocalBars(symbol, since) {
+    await this.ready;
+    return (this.series.get(symbol) || [])
+      .filter(([timestamp]) => timestamp >= since)
+      .map(([timestamp, price]) => createBar(timestamp, { close: price }));
+  }
+
+  /**
+   * Bucket bars (oldest first) into candles of `intervalMs`. Bars as long as
+   * the interval pass through unchanged; finer ones are merged. Intervals
+   * without data are skipped.
+   */
+  toCandles(bars, intervalMs) {
+    const candles = [];
+
+    for (const { timestamp, open, high, low, close } of bars) {
+      const bucket = Math.floor(timestamp / intervalMs) * intervalMs;
+      const last = candles[candles.length - 1];
+
+      if (last && last.bucket === bucket) {
+        last.high = Math.max(last.high, high);
+        last.low = Math.min(last.low, low);
+        last.close = close;
+        last.samples++;
+      } else {
+        candles.push({ bucket, open, high, low, close, samples: 1 });
+      }
+    }
+
+    return candles.map(({ bucket, ...candle }) => ({ time: new Date(bucket).toISOString(), ...candle }));
+  }
+}
+
+// Shared instance: the heartbeat writes the store the history endpoint reads
+export const priceHistoryService = new PriceHistoryService();
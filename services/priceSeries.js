@@ -0,0 +1,69 @@
+// services/priceSeries.js - Rolling price series per token (persisted across restarts)
+import { JsonFileStore } from './jsonFileStore.js';
+
+// Samples older than this are dropped on load: a series spanning a long outage would skew indicators
+const MAX_SAMPLE_AGE_MS = 24 * 60 * 60 * 1000;
+
+export class PriceSeries {
+  constructor({
+    maxLength = 500,
+    filePath = process.env.PRICE_SERIES_STORE_PATH || 'storage/price-series.json'
+  } = {}) {
+    this.series = new Map();
+    this.maxLength = maxLength;
+    this.store = new JsonFileStore(filePath, { series: {} });
+
+    this.ready = this.load();
+  }
+
+  async load() {
+    try {
+      const data = await this.store.read();
+      const cutoff = Date.now() - MAX_SAMPLE_AGE_MS;
+
+      for (const [symbol, samples] of Object.entries(data.series || {})) {
+        const recent = samples.filter(sample => sample.timestamp >= cutoff);
+        if (recent.length > 0) this.series.set(symbol, recent.slice(-this.maxLength));
+      }
+    } catch (error) {
+      console.error('❌ Failed to load price series:', error.message);
+    }
+  }
+
+  /**
+   * Append a price sample for a token. `timestamp` is when the provider
+   * updated the price: a quote seen again (e.g. served from cache) is not
+   * recorded twice. Without a timestamp only a changed price is recorded.
+   * Returns whether a sample was added.
+   */
+  record(symbol, price, timestamp = null) {
+    if (typeof price !== 'number' || !Number.isFinite(price)) return false;
+
+    const key = symbol.toUpperCase();
+    const samples = this.series.get(key) || [];
+    const last = samples[samples.length - 1];
+    const time = timestamp ? new Date(timestamp).getTime() : null;
+
+    if (last && (time ? time <= last.timestamp : price === last.price)) return false;
+
+    samples.push({ price, timestamp: time || Date.now() });
+    if (samples.length > this.maxLength) samples.shift();
+    this.series.set(key, samples);
+    return true;
+  }
+
+  /**
+   * Prices for a token, oldest first
+   */
+  getPrices(symbol) {
+    return (this.series.get(symbol.toUpperCase()) || []).map(sample => sample.price);
+  }
+
+  getSamples(symbol) {
+    return [...(this.series.get(symbol.toUpperCase()) || [])];
+  }
+
+  persist() {
+    return this.store.write({ series: Object.fromEntries(this.series) });
+  }
+}
@@ -0,0 +1,54 @@
+// services/providers/auraProvider.js - AURA API market data
+import axios from 'axios';
+import { createQuote, createMarketOverview } from './schema.js';
+
+export class AuraProvider {
+  constructor({ baseURL = process.env.AURA_API_URL || 'https://aura.adex.network/api' } = {}) {
+    this.name = 'aura';
+    // No multi-symbol endpoint: only asked for single symbols, batches go to the next provider
+    this.maxBatchSize = 1;
+    this.client = axios.create({ baseURL, timeout: 30000 });
+  }
+
+  /**
+   * AURA prices one symbol per request (see maxBatchSize); symbols it doesn't know are skipped
+   */
+  async getPrices(symbols) {
+    const results = await Promise.allSettled(
+      symbols.map(symbol => this.client.get(`/prices/${symbol}`))
+    );
+
+    if (results.every(result => result.status === 'rejected')) {
+      throw results[0].reason;
+    }
+
+    return results
+      .map((result, i) => result.status === 'fulfilled' && result.value.data?.price !== undefined
+        ? createQuote({
+          symbol: symbols[i],
+          price: result.value.data.price,
+          change24h: result.value.data.change24h,
+          marketCap: result.value.data.marketCap,
+          volume24h: result.value.data.volume24h,
+          source: 'AURA',
+          timestamp: result.value.data.updatedAt || result.value.data.timestamp
+        })
+        : null)
+      .filter(Boolean);
+  }
+
+  async getMarketOverview() {
+    const { data } = await this.client.get('/market/overview');
+    if (!data?.totalMarketCap) throw new Error('AURA market overview is empty');
+
+    return createMarketOverview({
+      totalMarketCap: data.totalMarketCap,
+      totalVolume24h: data.totalVolume24h ?? data.volume24h,
+      btcDominance: data.btcDominance,
+      ethDominance: data.ethDominance,
+      fearGreedIndex: data.fearGreedIndex,
+      trending: data.trending,
+      source: 'AURA'
+    });
+  }
+}
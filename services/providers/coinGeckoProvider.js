@@ -0,0 +1,117 @@
+// services/providers/coinGeckoProvider.js - CoinGecko public API
+import axios from 'axios';
+import { createQuote, createMarketOverview, createSample, createBar } from './schema.js';
+import { tokenRegistry } from '../tokenRegistry.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Length of the bars /coins/{id}/ohlc returns, picked by CoinGecko from `days`
+const ohlcGranularityMs = (days) => days <= 2 ? HOUR_MS / 2 : days <= 30 ? 4 * HOUR_MS : 96 * HOUR_MS;
+
+export class CoinGeckoProvider {
+  constructor({ baseURL = 'https://api.coingecko.com/api/v3', registry = tokenRegistry } = {}) {
+    this.name = 'coingecko';
+    // Prices by coin id (`coinIds`), so it may price symbols shared by several coins
+    this.acceptsCoinIds = true;
+    this.client = axios.create({ baseURL, timeout: 30000 });
+    this.registry = registry;
+  }
+
+  /**
+   * Coin id per symbol: `coinIds` hints (e.g. resolved from a contract address)
+   * first, then the token registry. Unknown and ambiguous symbols are skipped.
+   */
+  async resolveIds(symbols, coinIds = {}) {
+    return Promise.all(symbols.map(async (symbol) => {
+      if (coinIds[symbol.toUpperCase()]) return coinIds[symbol.toUpperCase()];
+      const resolution = await this.registry.resolve({ symbol });
+      return resolution.id;
+    }));
+  }
+
+  async getPrices(symbols, { coinIds } = {}) {
+    const ids = await this.resolveIds(symbols, coinIds);
+    if (ids.every(id => !id)) return [];
+
+    const { data } = await this.client.get('/simple/price', {
+      params: {
+        ids: [...new Set(ids.filter(Boolean))].join(','),
+        vs_currencies: 'usd',
+        include_market_cap: true,
+        include_24hr_vol: true,
+        include_24hr_change: true,
+        include_last_updated_at: true
+      }
+    });
+
+    return symbols
+      .map((symbol, i) => ids[i] && data[ids[i]]?.usd !== undefined
+        ? createQuote({
+          symbol,
+          price: data[ids[i]].usd,
+          change24h: data[ids[i]].usd_24h_change,
+          marketCap: data[ids[i]].usd_market_cap,
+          volume24h: data[ids[i]].usd_24h_vol,
+          source: 'COINGECKO',
+          timestamp: data[ids[i]].last_updated_at
+        })
+        : null)
+      .filter(Boolean);
+  }
+
+  /**
+   * Price samples for the last `days` (CoinGecko picks the granularity:
+   * 5-minute for 1 day, hourly up to 90 days, daily beyond)
+   */
+  async getHistory(symbol, { days, coinIds }) {
+    const [id] = await this.resolveIds([symbol], coinIds);
+    if (!id) return [];
+
+    const { data } = await this.client.get(`/coins/${id}/market_chart`, {
+      params: { vs_currency: 'usd', days }
+    });
+
+    return (data.prices || [])
+      .map(([timestamp, price]) => createSample(timestamp, price))
+      .filter(Boolean);
+  }
+
+  /**
+   * OHLC bars for the last `days`, or [] when CoinGecko's bars for that range
+   * (30 minutes up to 2 days, 4 hours up to 30, 4 days beyond) are longer than `intervalMs`
+   */
+  async getOhlc(symbol, { days, intervalMs, coinIds }) {
+    const granularityMs = ohlcGranularityMs(days);
+    if (granularityMs > intervalMs) return [];
+
+    const [id] = await this.resolveIds([symbol], coinIds);
+    if (!id) return [];
+
+    const { data } = await this.client.get(`/coins/${id}/ohlc`, {
+      params: { vs_currency: 'usd', days }
+    });
+
+    // Timestamps mark the end of each bar
+    return (data || [])
+      .map(([timestamp, open, high, low, close]) => createBar(timestamp - granularityMs, { open, high, low, close }))
+      .filter(Boolean);
+  }
+
+  async getMarketOverview() {
+    const [globalRes, trendingRes] = await Promise.all([
+      this.client.get('/global'),
+      this.client.get('/search/trending').catch(() => ({ data: { coins: [] } }))
+    ]);
+    const global = globalRes.data.data;
+
+    return createMarketOverview({
+      totalMarketCap: global.total_market_cap?.usd,
+      totalVolume24h: global.total_volume?.usd,
+      btcDominance: global.market_cap_percentage?.btc,
+      ethDominance: global.market_cap_percentage?.eth,
+      fearGreedIndex: null,
+      trending: (trendingRes.data.coins || []).map(coin => coin.item.symbol).slice(0, 5),
+      source: 'COINGECKO'
+    });
+  }
+}
@@ -0,0 +1,51 @@
+// services/providers/coinPaprikaProvider.js - CoinPaprika public API
+import axios from 'axios';
+import { createQuote, createMarketOverview } from './schema.js';
+
+export class CoinPaprikaProvider {
+  constructor({ baseURL = 'https://api.coinpaprika.com/v1' } = {}) {
+    this.name = 'coinpaprika';
+    this.client = axios.create({ baseURL, timeout: 30000 });
+  }
+
+  /**
+   * /tickers lists every coin by rank; the best-ranked coin wins a shared symbol
+   */
+  async getPrices(symbols) {
+    const { data } = await this.client.get('/tickers');
+    const wanted = new Set(symbols.map(symbol => symbol.toUpperCase()));
+    const quotes = new Map();
+
+    for (const ticker of data) {
+      const symbol = ticker.symbol?.toUpperCase();
+      if (!wanted.has(symbol) || quotes.has(symbol)) continue;
+
+      const usd = ticker.quotes?.USD || {};
+      quotes.set(symbol, createQuote({
+        symbol,
+        price: usd.price,
+        change24h: usd.percent_change_24h,
+        marketCap: usd.market_cap,
+        volume24h: usd.volume_24h,
+        source: 'COINPAPRIKA',
+        timestamp: ticker.last_updated
+      }));
+    }
+
+    return Array.from(quotes.values());
+  }
+
+  async getMarketOverview() {
+    const { data } = await this.client.get('/global');
+
+    return createMarketOverview({
+      totalMarketCap: data.market_cap_usd,
+      totalVolume24h: data.volume_24h_usd,
+      btcDominance: data.bitcoin_dominance_percentage,
+      ethDominance: null,
+      fearGreedIndex: null,
+      trending: [],
+      source: 'COINPAPRIKA'
+    });
+  }
+}
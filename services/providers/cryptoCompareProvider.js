@@ -0,0 +1,66 @@
+// services/providers/cryptoCompareProvider.js - CryptoCompare min-api (prices and history)
+import axios from 'axios';
+import { createQuote, createBar } from './schema.js';
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+export class CryptoCompareProvider {
+  constructor({ baseURL = 'https://min-api.cryptocompare.com/data' } = {}) {
+    this.name = 'cryptocompare';
+    this.client = axios.create({ baseURL, timeout: 30000 });
+  }
+
+  async getPrices(symbols) {
+    const fsyms = symbols.map(symbol => symbol.toUpperCase());
+    const { data } = await this.client.get('/pricemultifull', {
+      params: { fsyms: fsyms.join(','), tsyms: 'USD' }
+    });
+    if (data.Response === 'Error') throw new Error(data.Message || 'CryptoCompare error');
+
+    return fsyms
+      .map(symbol => {
+        const raw = data.RAW?.[symbol]?.USD;
+        return raw
+          ? createQuote({
+            symbol,
+            price: raw.PRICE,
+            change24h: raw.CHANGEPCT24HOUR,
+            marketCap: raw.MKTCAP,
+            volume24h: raw.TOTALVOLUME24HTO ?? raw.VOLUME24HOURTO,
+            source: 'CRYPTOCOMPARE',
+            timestamp: raw.LASTUPDATE
+          })
+          : null;
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * OHLC bars of `intervalMs` for the last `days` (minute, hour or day bars
+   * aggregated by CryptoCompare; at most 2000 per request)
+   */
+  async getOhlc(symbol, { days, intervalMs }) {
+    const minutes = intervalMs / MINUTE_MS;
+    const [endpoint, aggregate] = minutes < 60
+      ? ['/v2/histominute', minutes]
+      : minutes < 1440
+        ? ['/v2/histohour', minutes / 60]
+        : ['/v2/histoday', minutes / 1440];
+
+    const { data } = await this.client.get(endpoint, {
+      params: {
+        fsym: symbol.toUpperCase(),
+        tsym: 'USD',
+        aggregate,
+        limit: Math.min(2000, Math.ceil((days * DAY_MS) / intervalMs))
+      }
+    });
+    if (data.Response === 'Error') throw new Error(data.Message || 'CryptoCompare error');
+
+    return (data.Data?.Data || [])
+      .filter(bar => bar.close > 0)
+      .map(bar => createBar(bar.time, bar))
+      .filter(Boolean);
+  }
+}
@@ -0,0 +1,16 @@
+// services/providers/index.js - Built-in market data providers, keyed by name
+import { AuraProvider } from './auraProvider.js';
+import { CoinGeckoProvider } from './coinGeckoProvider.js';
+import { CoinPaprikaProvider } from './coinPaprikaProvider.js';
+import { CryptoCompareProvider } from './cryptoCompareProvider.js';
+
+export { createQuote, createMarketOverview, createSample, createBar } from './schema.js';
+
+export const PROVIDER_FACTORIES = {
+  aura: () => new AuraProvider(),
+  coingecko: () => new CoinGeckoProvider(),
+  coinpaprika: () => new CoinPaprikaProvider(),
+  cryptocompare: () => new CryptoCompareProvider()
+};
+
+export const DEFAULT_PROVIDER_ORDER = ['aura', 'coingecko', 'coinpaprika', 'cryptocompare'];
@@ -0,0 +1,80 @@
+// services/providers/schema.js - Normalized market data shapes shared by all providers
+
+const toNumber = (value) => {
+  const number = typeof value === 'string' ? parseFloat(value) : value;
+  return typeof number === 'number' && Number.isFinite(number) ? number : null;
+};
+
+// Missing or unparseable timestamps are unknown (null), never "now"
+const toISOString = (timestamp) => {
+  if (!timestamp) return null;
+  // Unix seconds vs milliseconds
+  const value = typeof timestamp === 'number' && timestamp < 1e12 ? timestamp * 1000 : timestamp;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+/**
+ * Price quote: { symbol, price, change24h, marketCap, volume24h, source, timestamp }
+ * Unknown fields are null rather than 0. `timestamp` is when the provider last
+ * updated the price (ISO string, Unix seconds or milliseconds); null when the
+ * provider doesn't say, which consensus treats as stale.
+ */
+export function createQuote({ symbol, price, change24h, marketCap, volume24h, source, timestamp }) {
+  return {
+    symbol: symbol.toUpperCase(),
+    price: toNumber(price),
+    change24h: toNumber(change24h),
+    marketCap: toNumber(marketCap),
+    volume24h: toNumber(volume24h),
+    source,
+    timestamp: toISOString(timestamp)
+  };
+}
+
+/**
+ * History sample: { timestamp (ms), price }
+ */
+export function createSample(timestamp, price) {
+  const value = toNumber(price);
+  const time = toISOString(timestamp);
+  return value === null || time === null ? null : { timestamp: new Date(time).getTime(), price: value };
+}
+
+/**
+ * OHLC bar: { timestamp (ms, start of the bar), open, high, low, close }.
+ * A missing open falls back to close, missing high/low to open and close.
+ */
+export function createBar(timestamp, { open, high, low, close }) {
+  const closePrice = toNumber(close);
+  const time = toISOString(timestamp);
+  if (closePrice === null || time === null) return null;
+
+  const openPrice = toNumber(open) ?? closePrice;
+  return {
+    timestamp: new Date(time).getTime(),
+    open: openPrice,
+    high: toNumber(high) ?? Math.max(openPrice, closePrice),
+    low: toNumber(low) ?? Math.min(openPrice, closePrice),
+    close: closePrice
+  };
+}
+
+/**
+ * Market overview: { totalMarketCap, totalVolume24h, btcDominance, ethDominance,
+ * fearGreedIndex, trending, source, timestamp }
+ */
+export function createMarketOverview({
+  totalMarketCap, totalVolume24h, btcDominance, ethDominance, fearGreedIndex, trending, source, timestamp
+}) {
+  return {
+    totalMarketCap: toNumber(totalMarketCap),
+    totalVolume24h: toNumber(totalVolume24h),
+    btcDominance: toNumber(btcDominance),
+    ethDominance: toNumber(ethDominance),
+    fearGreedIndex: toNumber(fearGreedIndex),
+    trending: Array.isArray(trending) ? trending : [],
+    source,
+    timestamp: timestamp || new Date().toISOString()
+  };
+}
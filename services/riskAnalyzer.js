@@ -1,10 +1,17 @@
 // services/riskAnalyzer.js - Portfolio and transaction risk analysis
+import { tokenClassifications } from './tokenClassificationRegistry.js';
+
 export class RiskAnalyzer {
+  constructor() {
+    this.classifications = tokenClassifications;
+  }
+
   /**
    * Calculate comprehensive portfolio risk score
    */
   async calculatePortfolioRisk(data) {
     const { tokens, transactions, walletAge } = data;
+    await this.classifications.ready;
 
     let riskScore = 0;
     const factors = {};
@@ -128,13 +135,13 @@ export class RiskAnalyzer {
     tokens.forEach(token => {
       const percentage = (token.valueUSD / totalValue) * 100;
       
-      if (this.isStablecoin(token.symbol)) {
+      if (this.isStablecoin(token)) {
         breakdown.stablecoins += percentage;
         volatilityScore += percentage * 0.05; // 5% volatility weight
-      } else if (this.isBluechip(token.symbol)) {
+      } else if (this.isBluechip(token)) {
         breakdown.bluechip += percentage;
         volatilityScore += percentage * 0.15; // 15% volatility weight
-      } else if (this.isMemecoin(token.symbol)) {
+      } else if (this.isMemecoin(token)) {
         breakdown.memecoins += percentage;
         volatilityScore += percentage * 0.50; // 50% volatility weight
       } else {
@@ -211,7 +218,7 @@ export class RiskAnalyzer {
 
     tokens.forEach(token => {
       // Simplified liquidity check - in production, check actual DEX liquidity
-      if (token.valueUSD < 100 || this.isLowLiquidityToken(token.symbol)) {
+      if (token.valueUSD < 100 || this.isLowLiquidityToken(token)) {
         illiquidCount++;
         illiquidValue += token.valueUSD;
       }
@@ -305,34 +312,33 @@ export class RiskAnalyzer {
 
   // ==================== TOKEN CLASSIFICATION ====================
 
-  isStablecoin(symbol) {
-    const stablecoins = ['USDC', 'USDT', 'DAI', 'BUSD', 'TUSD', 'FRAX'];
-    return stablecoins.includes(symbol.toUpperCase());
+  // Categories and liquidity tiers come from the token classification registry
+  // (data/tokenClassifications.json + admin overrides). `token` is a symbol or
+  // { symbol, contractAddress, chain }.
+
+  isStablecoin(token) {
+    return this.classifications.classify(token).category === 'stablecoin';
   }
 
-  isBluechip(symbol) {
-    const bluechips = ['BTC', 'ETH', 'BNB', 'SOL', 'MATIC', 'AVAX', 'LINK', 'AURA'];
-    return bluechips.includes(symbol.toUpperCase());
+  isBluechip(token) {
+    return this.classifications.classify(token).category === 'bluechip';
   }
 
-  isMemecoin(symbol) {
-    const memecoins = ['DOGE', 'SHIB', 'PEPE', 'FLOKI', 'BONK'];
-    return memecoins.includes(symbol.toUpperCase());
+  isMemecoin(token) {
+    return this.classifications.classify(token).category === 'memecoin';
   }
 
-  isLowLiquidityToken(symbol) {
+  isLowLiquidityToken(token) {
     // In production, check actual DEX liquidity via AURA API
-    // This is a simplified check
-    const knownLiquid = [...this.getStablecoins(), ...this.getBluechips()];
-    return !knownLiquid.includes(symbol.toUpperCase());
+    return this.classifications.classify(token).liquidityTier === 'low';
   }
 
   getStablecoins() {
-    return ['USDC', 'USDT', 'DAI', 'BUSD', 'TUSD', 'FRAX'];
+    return this.classifications.list({ category: 'stablecoin' }).map(entry => entry.symbol);
   }
 
   getBluechips() {
-    return ['BTC', 'ETH', 'BNB', 'SOL', 'MATIC', 'AVAX', 'LINK', 'AURA'];
+    return this.classifications.list({ category: 'bluechip' }).map(entry => entry.symbol);
   }
 
   isKnownContract(address) {
@@ -0,0 +1,160 @@
+// services/tokenClassificationRegistry.js - Token category / liquidity tier source of truth
+import { JsonFileStore } from './jsonFileStore.js';
+import { tokenKey, normalizeTokenKey, normalizeContractAddress } from './tokenRegistry.js';
+
+// Tokens nobody classified count as low-liquidity altcoins
+const UNCLASSIFIED = { category: 'altcoin', liquidityTier: 'low', classified: false };
+
+export class TokenClassificationRegistry {
+  /**
+   * Built-in classifications come from `dataPath` (data/tokenClassifications.json);
+   * entries added or overridden through the admin API are stored in `filePath`
+   * and win over the built-in ones.
+   */
+  constructor({
+    dataPath = process.env.TOKEN_CLASSIFICATIONS_PATH || 'data/tokenClassifications.json',
+    filePath = process.env.TOKEN_CLASSIFICATIONS_STORE_PATH || 'storage/token-classifications.json'
+  } = {}) {
+    this.data = new JsonFileStore(dataPath, { tokens: [] });
+    this.store = new JsonFileStore(filePath, { overrides: {} });
+
+    this.builtIn = [];
+    this.overrides = {};
+    this.bySymbol = new Map();
+    this.bySymbolOnly = new Map();
+    this.byContract = new Map();
+
+    this.ready = this.load();
+  }
+
+  async load() {
+    try {
+      const [data, stored] = await Promise.all([this.data.read(), this.store.read()]);
+      this.builtIn = data.tokens || [];
+      this.overrides = stored.overrides || {};
+      this.index();
+      if (this.builtIn.length === 0) console.warn(`⚠️ No built-in token classifications found at ${this.data.filePath}`);
+    } catch (error) {
+      console.error('❌ Failed to load token classifications:', error.message);
+    }
+  }
+
+  /**
+   * Classification of a token ({ symbol, contractAddress, chain } or a symbol).
+   * Contract address + chain wins over symbol. A contract nobody classified
+   * only falls back to entries without a contract: anyone can deploy a token
+   * called USDC. Call after `ready` resolved.
+   */
+  classify(token) {
+    const { symbol, contractAddress, chain } = typeof token === 'string' ? { symbol: token } : token;
+
+    const entry = contractAddress
+      ? this.byContract.get(tokenKey({ contractAddress, chain })) || (symbol && this.bySymbolOnly.get(symbol.toUpperCase()))
+      : symbol && this.bySymbol.get(symbol.toUpperCase());
+
+    return entry ? { ...entry, classified: true } : { symbol: symbol?.toUpperCase(), ...UNCLASSIFIED };
+  }
+
+  /**
+   * All entries (overrides applied), optionally of one category
+   */
+  list({ category } = {}) {
+    return this.entries()
+      .filter(entry => !category || entry.category === category)
+      .sort((a, b) => a.symbol.localeCompare(b.symbol));
+  }
+
+  /**
+   * Add an entry or override a built-in one (same contract, or same symbol
+   * when no contract is given)
+   */
+  async upsert({ symbol, name = null, category, chain = null, contractAddress = null, liquidityTier }) {
+    await this.ready;
+
+    const entry = {
+      symbol: symbol.toUpperCase(),
+      name,
+      category,
+      chain: chain?.toLowerCase() || null,
+      contractAddress: contractAddress ? normalizeContractAddress(contractAddress) : null,
+      liquidityTier
+    };
+    const key = this.keyOf(entry);
+
+    this.overrides[key] = { ...entry, updatedAt: new Date().toISOString() };
+    this.index();
+    await this.persist();
+
+    console.log(`🏷️ Token classification ${key} set to ${category} (${liquidityTier} liquidity)`);
+    return { key, ...this.overrides[key] };
+  }
+
+  /**
+   * Remove an override (`key` is a symbol or "<chain>:<contract>"); the built-in
+   * entry, if any, applies again. Returns false when there was no override.
+   */
+  async removeOverride(key) {
+    await this.ready;
+
+    const normalized = normalizeTokenKey(key);
+    if (!this.overrides[normalized]) return false;
+
+    delete this.overrides[normalized];
+    this.index();
+    await this.persist();
+    return true;
+  }
+
+  getStatus() {
+    return {
+      builtIn: this.builtIn.length,
+      overrides: Object.keys(this.overrides).length,
+      entries: this.entries().length
+    };
+  }
+
+  // Private methods
+
+  keyOf(entry) {
+    return tokenKey({
+      symbol: entry.symbol,
+      contractAddress: entry.contractAddress,
+      chain: entry.chain || undefined
+    });
+  }
+
+  /**
+   * Built-in entries with overrides applied (overrides replace entries with the same key)
+   */
+  entries() {
+    const merged = new Map(this.builtIn.map(entry => [this.keyOf(entry), { ...entry, source: 'built-in' }]));
+    for (const [key, entry] of Object.entries(this.overrides)) {
+      merged.set(key, { ...entry, source: 'override' });
+    }
+    return Array.from(merged, ([key, entry]) => ({ key, ...entry }));
+  }
+
+  index() {
+    this.bySymbol = new Map();
+    this.bySymbolOnly = new Map();
+    this.byContract = new Map();
+
+    // Overrides win symbol lookups over built-in entries
+    const indexSymbol = (map, symbol, entry) => {
+      if (!map.has(symbol) || entry.source === 'override') map.set(symbol, entry);
+    };
+    for (const entry of this.entries()) {
+      const symbol = entry.symbol.toUpperCase();
+      if (entry.contractAddress) this.byContract.set(entry.key, entry);
+      else indexSymbol(this.bySymbolOnly, symbol, entry);
+      indexSymbol(this.bySymbol, symbol, entry);
+    }
+  }
+
+  persist() {
+    return this.store.write({ overrides: this.overrides });
+  }
+}
+
+// Shared instance: risk analysis, health scoring and the admin API use the same entries
+export const tokenClassifications = new TokenClassificationRegistry();
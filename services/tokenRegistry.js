@@ -0,0 +1,219 @@
+// services/tokenRegistry.js - Symbol / contract address → CoinGecko coin id resolution
+import axios from 'axios';
+import { JsonFileStore } from './jsonFileStore.js';
+
+const LIST_TTL_MS = 24 * 60 * 60 * 1000;
+// After a failed coin list refresh, wait this long before trying again
+const RETRY_AFTER_MS = 10 * 60 * 1000;
+const DEFAULT_CHAIN = process.env.DEFAULT_TOKEN_CHAIN || 'ethereum';
+
+// Well-known symbols that are ambiguous in the coin list
+const DEFAULT_SYMBOL_IDS = {
+  BTC: 'bitcoin',
+  ETH: 'ethereum',
+  USDT: 'tether',
+  USDC: 'usd-coin',
+  AURA: 'aura-network',
+  LINK: 'chainlink'
+};
+
+/**
+ * EVM (0x) addresses are case-insensitive and lowercased; others (e.g. Solana
+ * base58) are case-sensitive and kept as they are
+ */
+export const normalizeContractAddress = (address) => /^0x/i.test(address) ? address.toLowerCase() : address;
+
+/**
+ * Registry / override key: a symbol ("LINK") or "<chain>:<contract address>"
+ */
+export const tokenKey = ({ symbol, contractAddress, chain = DEFAULT_CHAIN }) => contractAddress
+  ? `${chain.toLowerCase()}:${normalizeContractAddress(contractAddress)}`
+  : symbol.toUpperCase();
+
+/**
+ * Normalize a key given as a symbol or "<chain>:<contract address>" (e.g. from a URL or env var)
+ */
+export const normalizeTokenKey = (key) => {
+  const separator = key.indexOf(':');
+  return separator === -1
+    ? key.toUpperCase()
+    : tokenKey({ chain: key.slice(0, separator), contractAddress: key.slice(separator + 1) });
+};
+
+// TOKEN_ID_OVERRIDES='{"LINK":"chainlink","ethereum:0x514910771af9ca656af840dff83e8264ecf986ca":"chainlink"}'
+const parseEnvOverrides = () => {
+  if (!process.env.TOKEN_ID_OVERRIDES) return {};
+  try {
+    const parsed = JSON.parse(process.env.TOKEN_ID_OVERRIDES);
+    return Object.fromEntries(Object.entries(parsed).map(([key, id]) => [normalizeTokenKey(key), id]));
+  } catch (error) {
+    console.error('❌ TOKEN_ID_OVERRIDES is not valid JSON:', error.message);
+    return {};
+  }
+};
+
+export class TokenRegistry {
+  constructor({
+    filePath = process.env.TOKEN_REGISTRY_STORE_PATH || 'storage/token-registry.json',
+    baseURL = 'https://api.coingecko.com/api/v3'
+  } = {}) {
+    this.store = new JsonFileStore(filePath, { coins: [], fetchedAt: null, overrides: {} });
+    this.client = axios.create({ baseURL, timeout: 30000 });
+
+    this.bySymbol = new Map();
+    this.byContract = new Map();
+    this.fetchedAt = null;
+    this.lastFailureAt = null;
+    this.refreshing = null;
+    this.coins = [];
+    this.overrides = {};
+
+    this.ready = this.load();
+  }
+
+  async load() {
+    try {
+      const data = await this.store.read();
+      this.overrides = data.overrides || {};
+      this.fetchedAt = data.fetchedAt;
+      this.index(data.coins || []);
+    } catch (error) {
+      console.error('❌ Failed to load token registry:', error.message);
+    }
+  }
+
+  /**
+   * Resolve a token to a coin id. Contract address + chain wins over symbol;
+   * manual overrides win over the coin list.
+   * Returns { status: 'resolved' | 'ambiguous' | 'unknown', id, matchedBy, candidates }
+   */
+  async resolve({ symbol, contractAddress, chain = DEFAULT_CHAIN }) {
+    await this.ensureLoaded();
+    const overrides = this.getOverrides();
+
+    if (contractAddress) {
+      const key = tokenKey({ contractAddress, chain });
+      if (overrides[key]) return { status: 'resolved', id: overrides[key], matchedBy: 'override' };
+
+      const coin = this.byContract.get(key);
+      if (coin) return { status: 'resolved', id: coin.id, matchedBy: 'contract' };
+    }
+
+    if (!symbol) return { status: 'unknown', id: null, matchedBy: null };
+
+    const key = symbol.toUpperCase();
+    if (overrides[key]) return { status: 'resolved', id: overrides[key], matchedBy: 'override' };
+
+    const candidates = this.bySymbol.get(key) || [];
+    if (candidates.length === 1) {
+      return { status: 'resolved', id: candidates[0].id, matchedBy: 'symbol' };
+    }
+    if (candidates.length > 1) {
+      // Never guess between coins sharing a symbol - callers must pass a contract or add an override
+      return {
+        status: 'ambiguous',
+        id: null,
+        matchedBy: null,
+        candidates: candidates.map(({ id, name }) => ({ id, name }))
+      };
+    }
+
+    return { status: 'unknown', id: null, matchedBy: null };
+  }
+
+  /**
+   * Built-in, env and stored overrides merged (stored ones win)
+   */
+  getOverrides() {
+    return { ...DEFAULT_SYMBOL_IDS, ...parseEnvOverrides(), ...this.overrides };
+  }
+
+  async setOverride(token, id) {
+    await this.ready;
+    this.overrides[tokenKey(token)] = id;
+    await this.persist();
+  }
+
+  async removeOverride(token) {
+    await this.ready;
+    delete this.overrides[tokenKey(token)];
+    await this.persist();
+  }
+
+  getStatus() {
+    return {
+      coins: this.coins.length,
+      fetchedAt: this.fetchedAt,
+      lastFailureAt: this.lastFailureAt,
+      overrides: Object.keys(this.getOverrides()).length
+    };
+  }
+
+  // Private methods
+
+  /**
+   * Make sure a coin list is loaded: wait for the first download, refresh a
+   * stale list in the background
+   */
+  async ensureLoaded() {
+    await this.ready;
+
+    const stale = !this.fetchedAt || Date.now() - new Date(this.fetchedAt).getTime() > LIST_TTL_MS;
+    const backingOff = this.lastFailureAt && Date.now() - this.lastFailureAt < RETRY_AFTER_MS;
+    if (!stale || backingOff) return;
+
+    const refresh = this.refresh();
+    if (this.coins.length === 0) await refresh;
+  }
+
+  refresh() {
+    if (this.refreshing) return this.refreshing;
+
+    this.refreshing = this.client.get('/coins/list', { params: { include_platform: true } })
+      .then(async ({ data }) => {
+        this.index(data.map(({ id, symbol, name, platforms }) => ({ id, symbol, name, platforms })));
+        this.fetchedAt = new Date().toISOString();
+        this.lastFailureAt = null;
+        await this.persist();
+        console.log(`🪙 Token registry refreshed: ${this.coins.length} coins`);
+      })
+      .catch(error => {
+        this.lastFailureAt = Date.now();
+        console.warn('⚠️ Token registry refresh failed:', error.message);
+      })
+      .finally(() => {
+        this.refreshing = null;
+      });
+
+    return this.refreshing;
+  }
+
+  index(coins) {
+    this.coins = coins;
+    this.bySymbol = new Map();
+    this.byContract = new Map();
+
+    for (const coin of coins) {
+      const symbol = coin.symbol?.toUpperCase();
+      if (symbol) {
+        const list = this.bySymbol.get(symbol) || [];
+        list.push(coin);
+        this.bySymbol.set(symbol, list);
+      }
+      for (const [chain, address] of Object.entries(coin.platforms || {})) {
+        if (address) this.byContract.set(tokenKey({ contractAddress: address, chain }), coin);
+      }
+    }
+  }
+
+  persist() {
+    return this.store.write({
+      coins: this.coins,
+      fetchedAt: this.fetchedAt,
+      overrides: this.overrides
+    });
+  }
+}
+
+// Shared instance: the coin list is large and should only be fetched once
+export const tokenRegistry = new TokenRegistry();
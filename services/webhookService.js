@@ -0,0 +1,186 @@
+// services/webhookService.js - Signed webhook delivery with retries + delivery log
+import crypto from 'crypto';
+import axios from 'axios';
+import { JsonFileStore } from './jsonFileStore.js';
+import { publicOnlyRequestOptions } from '../utils/network.js';
+import { BlockedDestinationError } from '../utils/errors.js';
+
+const MAX_DELIVERIES_PER_ALERT = 50;
+
+export class WebhookService {
+  constructor({
+    filePath = process.env.WEBHOOK_DELIVERY_STORE_PATH || 'storage/webhookDeliveries.json',
+    maxAttempts = 5,
+    baseDelayMs = 2000,
+    timeoutMs = 10000,
+    resolveSecret = async () => null
+  } = {}) {
+    this.store = new JsonFileStore(filePath, { deliveries: [] });
+    this.deliveries = new Map();
+    this.maxAttempts = maxAttempts;
+    this.baseDelayMs = baseDelayMs;
+    this.timeoutMs = timeoutMs;
+    this.resolveSecret = resolveSecret;
+
+    this.ready = this.load();
+  }
+
+  /**
+   * Reload the delivery log and resume unfinished deliveries
+   */
+  async load() {
+    try {
+      const data = await this.store.read();
+      (data.deliveries || []).forEach(delivery => this.deliveries.set(delivery.id, delivery));
+
+      for (const delivery of this.deliveries.values()) {
+        if (delivery.status === 'pending' || delivery.status === 'retrying') {
+          const delay = Math.max(0, new Date(delivery.nextAttemptAt || 0).getTime() - Date.now());
+          this.schedule(delivery, delay);
+        }
+      }
+    } catch (error) {
+      console.error('❌ Failed to load webhook deliveries:', error.message);
+    }
+  }
+
+  /**
+   * Queue an event for delivery to the alert's webhook URL
+   * @param {Object} data - Event body, e.g. { notification } or { digest }
+   */
+  async deliver(alert, data, event = 'alert.triggered') {
+    await this.ready;
+
+    const delivery = {
+      id: `dlv_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+      alertId: alert.id,
+      url: alert.webhookUrl,
+      status: 'pending',
+      attempts: 0,
+      payload: {
+        event,
+        alert: {
+          id: alert.id,
+          address: alert.address,
+          type: alert.type,
+          condition: alert.condition,
+          value: alert.value,
+          token: alert.token
+        },
+        ...data
+      },
+      lastError: null,
+      responseStatus: null,
+      createdAt: new Date().toISOString(),
+      lastAttemptAt: null,
+      nextAttemptAt: new Date().toISOString()
+    };
+
+    this.deliveries.set(delivery.id, delivery);
+    this.prune(alert.id);
+    await this.persist();
+
+    await this.attempt(delivery);
+    return delivery;
+  }
+
+  /**
+   * Delivery log for an alert, newest first
+   */
+  async getDeliveries(alertId) {
+    await this.ready;
+    return Array.from(this.deliveries.values())
+      .filter(delivery => delivery.alertId === alertId)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * HMAC-SHA256 over `${timestamp}.${body}`, hex encoded
+   */
+  sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  // Private methods
+
+  async attempt(delivery) {
+    const secret = await this.resolveSecret(delivery.alertId);
+    const body = JSON.stringify({ ...delivery.payload, deliveryId: delivery.id });
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+
+    delivery.attempts += 1;
+    delivery.lastAttemptAt = new Date().toISOString();
+
+    // The alert was deleted (or has no secret): a request the receiver can't verify is never sent
+    if (!secret) {
+      delivery.lastError = 'Alert has no webhook signing secret';
+      this.deadLetter(delivery);
+      await this.persist();
+      return;
+    }
+
+    try {
+      const response = await axios.post(delivery.url, body, {
+        ...publicOnlyRequestOptions(delivery.url),
+        timeout: this.timeoutMs,
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Aura-Delivery': delivery.id,
+          'X-Aura-Timestamp': timestamp,
+          'X-Aura-Signature': `sha256=${this.sign(secret, timestamp, body)}`
+        }
+      });
+
+      delivery.status = 'delivered';
+      delivery.responseStatus = response.status;
+      delivery.lastError = null;
+      delivery.nextAttemptAt = null;
+      console.log(`📨 Webhook delivered: ${delivery.id} → ${delivery.url}`);
+    } catch (error) {
+      delivery.responseStatus = error.response?.status || null;
+      delivery.lastError = error.message;
+
+      // Private destinations won't become public on retry
+      const blocked = error instanceof BlockedDestinationError || error.cause instanceof BlockedDestinationError;
+
+      if (blocked || delivery.attempts >= this.maxAttempts) {
+        this.deadLetter(delivery);
+      } else {
+        const delay = this.baseDelayMs * 2 ** (delivery.attempts - 1);
+        delivery.status = 'retrying';
+        delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+        console.warn(`⚠️ Webhook attempt ${delivery.attempts} failed (${error.message}), retrying in ${delay}ms`);
+        this.schedule(delivery, delay);
+      }
+    }
+
+    await this.persist();
+  }
+
+  deadLetter(delivery) {
+    delivery.status = 'dead_letter';
+    delivery.nextAttemptAt = null;
+    console.error(`☠️ Webhook dead-lettered after ${delivery.attempts} attempts: ${delivery.id} (${delivery.lastError})`);
+  }
+
+  schedule(delivery, delay) {
+    const timer = setTimeout(() => {
+      this.attempt(delivery).catch(error => {
+        console.error(`Error delivering webhook ${delivery.id}:`, error.message);
+      });
+    }, delay);
+    timer.unref?.();
+  }
+
+  prune(alertId) {
+    const forAlert = Array.from(this.deliveries.values())
+      .filter(delivery => delivery.alertId === alertId)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+    forAlert.slice(MAX_DELIVERIES_PER_ALERT).forEach(delivery => this.deliveries.delete(delivery.id));
+  }
+
+  persist() {
+    return this.store.write({ deliveries: Array.from(this.deliveries.values()) });
+  }
+}
@@ -0,0 +1,216 @@
+// tests/alertService.test.js - Alert lifecycle and evaluation against stubbed wallet / market data
+import { jest } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { AlertService } from '../services/alertService.js';
+import { FileAlertRepository } from '../services/alertRepository.js';
+import { ServiceUnavailableError } from '../utils/errors.js';
+
+const WALLET = '0x742d35cc6634c0532925a3b844bc454e4438f44e';
+const BALANCES = [
+  { symbol: 'ETH', balance: 1, valueUSD: 3000 },
+  { symbol: 'USDC', balance: 1000, valueUSD: 1000 }
+];
+const ethAt = (current) => ({ ETH: { current, confidence: 'high', timestamp: new Date().toISOString() } });
+
+// Every store goes to a temporary directory, the monitoring loop never starts
+let dir;
+const STORE_PATHS = {
+  WEBHOOK_DELIVERY_STORE_PATH: 'webhooks.json',
+  NOTIFICATION_STORE_PATH: 'notifications.json',
+  DIGEST_STORE_PATH: 'digests.json',
+  PRICE_SERIES_STORE_PATH: 'price-series.json'
+};
+
+const createService = (alertsPath = path.join(dir, 'alerts.json')) => {
+  const service = new AlertService({ repository: new FileAlertRepository(alertsPath) });
+  jest.spyOn(service.auraService, 'getTokenBalances').mockResolvedValue(BALANCES);
+  jest.spyOn(service.auraService, 'getConsensusPrices').mockResolvedValue({});
+  jest.spyOn(service.auraService, 'getTransactions').mockResolvedValue([]);
+  return service;
+};
+
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'alerts-test-'));
+  Object.entries(STORE_PATHS).forEach(([name, file]) => { process.env[name] = path.join(dir, file); });
+  jest.useFakeTimers({ doNotFake: ['Date', 'nextTick', 'queueMicrotask', 'setImmediate', 'setTimeout', 'clearTimeout'] });
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(async () => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+  Object.keys(STORE_PATHS).forEach(name => delete process.env[name]);
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+describe('mock balances', () => {
+  test('a portfolio baseline is never taken from mock balances', async () => {
+    const service = createService();
+    service.auraService.getTokenBalances.mockResolvedValue(service.auraService.getMockTokenBalances());
+
+    await expect(service.createAlert({ address: WALLET, type: 'PORTFOLIO_VALUE', condition: 'CHANGE_UP', value: 10 }))
+      .rejects.toBeInstanceOf(ServiceUnavailableError);
+    expect(await service.repository.findAll()).toEqual([]);
+  });
+
+  test('balance-based alerts are skipped on mock balances', async () => {
+    const service = createService();
+    const alert = await service.createAlert({ address: WALLET, type: 'PORTFOLIO_VALUE', condition: 'ABOVE', value: 100 });
+    service.auraService.getTokenBalances.mockResolvedValue(service.auraService.getMockTokenBalances());
+
+    const result = await service.checkAlerts();
+
+    expect(result).toMatchObject({ triggered: 0, skippedLowConfidence: 1 });
+    expect((await service.getAlert(alert.id)).triggered).toBe(false);
+  });
+
+  test('real balances drive portfolio alerts', async () => {
+    const service = createService();
+    const alert = await service.createAlert({ address: WALLET, type: 'PORTFOLIO_VALUE', condition: 'CHANGE_DOWN', value: 20 });
+    expect(alert.baselineValue).toBe(4000);
+
+    service.auraService.getTokenBalances.mockResolvedValue([{ symbol: 'ETH', balance: 1, valueUSD: 3000 }]);
+    expect(await service.checkAlerts()).toMatchObject({ triggered: 1 });
+  });
+});
+
+describe('transfer cursor', () => {
+  const SENDER = '0x1111111111111111111111111111111111111111';
+  const inSeconds = (seconds) => new Date(Date.now() + seconds * 1000).toISOString();
+  const transfer = (hash, valueUSD, timestamp) => ({
+    hash,
+    timestamp,
+    value: '0',
+    tokenTransfers: [{ from: SENDER, to: WALLET, symbol: 'USDC', amount: valueUSD, valueUSD }]
+  });
+
+  test('picks up a transaction listed late at the cursor timestamp', async () => {
+    const service = createService();
+    const alert = await service.createAlert({ address: WALLET, type: 'TRANSACTION', condition: 'TRANSFER', direction: 'IN', value: 100 });
+    const timestamp = inSeconds(5);
+    const small = transfer('0xsmall', 50, timestamp);
+
+    service.auraService.getTransactions.mockResolvedValue([small]);
+    expect(await service.checkAlerts()).toMatchObject({ triggered: 0 });
+    expect((await service.getAlert(alert.id)).transactionCursor).toEqual({ timestamp, hashes: ['0xsmall'] });
+
+    service.auraService.getTransactions.mockResolvedValue([small, transfer('0xlarge', 500, timestamp)]);
+    expect(await service.checkAlerts()).toMatchObject({ triggered: 1 });
+
+    const stored = await service.getAlert(alert.id);
+    expect(stored.lastMatch).toMatchObject({ hash: '0xlarge', direction: 'IN', valueUSD: 500 });
+    expect(stored.transactionCursor.hashes).toEqual(['0xsmall', '0xlarge']);
+  });
+
+  test('a COMPOSITE keeps its cursor while AND short-circuits before the transfer watch', async () => {
+    const service = createService();
+    const alert = await service.createAlert({
+      address: WALLET,
+      type: 'COMPOSITE',
+      expression: {
+        operator: 'AND',
+        conditions: [
+          { type: 'PRICE', token: 'ETH', condition: 'ABOVE', value: 5000 },
+          { type: 'TRANSACTION', condition: 'TRANSFER', direction: 'IN', value: 100 }
+        ]
+      }
+    });
+    service.auraService.getTransactions.mockResolvedValue([transfer('0xlarge', 500, inSeconds(5))]);
+
+    service.auraService.getConsensusPrices.mockResolvedValue(ethAt(2000));
+    expect(await service.checkAlerts()).toMatchObject({ triggered: 0 });
+    expect((await service.getAlert(alert.id)).transactionCursor).toBeUndefined();
+
+    service.auraService.getConsensusPrices.mockResolvedValue(ethAt(6000));
+    expect(await service.checkAlerts()).toMatchObject({ triggered: 1 });
+
+    const stored = await service.getAlert(alert.id);
+    expect(stored.lastMatch).toMatchObject({ hash: '0xlarge', valueUSD: 500 });
+    expect(stored.transactionCursor.hashes).toEqual(['0xlarge']);
+  });
+});
+
+describe('persistence', () => {
+  test('alerts and their trigger state survive a restart', async () => {
+    const service = createService();
+    // Checksummed on create, looked up lowercase below
+    const address = '0x742d35Cc6634C0532925a3b844Bc454e4438f44e';
+    const alert = await service.createAlert({ address, type: 'BALANCE', condition: 'ABOVE', value: 0.5, token: 'ETH' });
+    await service.checkAlerts();
+
+    const reloaded = createService();
+    const stored = await reloaded.getAlert(alert.id);
+    expect(stored).toMatchObject({ id: alert.id, triggered: true, triggerCount: 1 });
+    expect(stored.lastChecked).toEqual(expect.any(String));
+    expect((await reloaded.getAlertsByAddress(WALLET)).map(entry => entry.id)).toEqual([alert.id]);
+    expect((await reloaded.getActiveAlerts(WALLET)).map(entry => entry.id)).toEqual([alert.id]);
+  });
+
+  test('deleted alerts stay deleted and are not written back by a running cycle', async () => {
+    const service = createService();
+    const kept = await service.createAlert({ address: WALLET, type: 'BALANCE', condition: 'ABOVE', value: 0.5, token: 'ETH' });
+    const deleted = await service.createAlert({ address: WALLET, type: 'BALANCE', condition: 'BELOW', value: 5, token: 'ETH' });
+
+    const stale = await service.getAlert(deleted.id);
+    await service.deleteAlert(deleted.id);
+    expect(await service.repository.saveMany([stale, await service.getAlert(kept.id)])).toHaveLength(1);
+
+    const reloaded = createService();
+    expect(await reloaded.getAlert(deleted.id)).toBeNull();
+    expect((await reloaded.getAlertsByAddress(WALLET)).map(entry => entry.id)).toEqual([kept.id]);
+  });
+});
+
+describe('recurring alerts', () => {
+  const cycleAt = async (service, price) => {
+    service.auraService.getConsensusPrices.mockResolvedValue(ethAt(price));
+    return (await service.checkAlerts()).triggered;
+  };
+
+  test('re-arms once the condition clears and fires again after the cooldown', async () => {
+    const service = createService();
+    const alert = await service.createAlert({
+      address: WALLET, type: 'PRICE', token: 'ETH', condition: 'BELOW', value: 3000, mode: 'RECURRING', cooldownSeconds: 60
+    });
+    const now = Date.now();
+    const clock = jest.spyOn(Date, 'now').mockReturnValue(now);
+
+    expect(await cycleAt(service, 2500)).toBe(1);
+    expect(await cycleAt(service, 2500)).toBe(0); // still triggered
+
+    expect(await cycleAt(service, 3500)).toBe(0);
+    expect(await service.getAlert(alert.id)).toMatchObject({ triggered: false, rearmedAt: expect.any(String) });
+
+    expect(await cycleAt(service, 2500)).toBe(0); // re-armed, but within the cooldown
+    clock.mockReturnValue(now + 61 * 1000);
+    expect(await cycleAt(service, 2500)).toBe(1);
+    expect((await service.getAlert(alert.id)).triggerCount).toBe(2);
+  });
+
+  test('one-shot alerts fire once until an update re-arms them', async () => {
+    const service = createService();
+    const alert = await service.createAlert({ address: WALLET, type: 'PRICE', token: 'ETH', condition: 'BELOW', value: 3000 });
+
+    expect(await cycleAt(service, 2500)).toBe(1);
+    expect(await cycleAt(service, 3500)).toBe(0);
+    expect((await service.getAlert(alert.id)).triggered).toBe(true);
+
+    await service.updateAlert(alert.id, { value: 2000 });
+    expect(await cycleAt(service, 1500)).toBe(1);
+  });
+
+  test('paused alerts are not evaluated', async () => {
+    const service = createService();
+    const alert = await service.createAlert({ address: WALLET, type: 'PRICE', token: 'ETH', condition: 'BELOW', value: 3000 });
+
+    await service.setAlertStatus(alert.id, 'paused');
+    expect(await cycleAt(service, 2500)).toBe(0);
+    expect((await service.getAlert(alert.id)).lastChecked).toBeUndefined();
+
+    await service.setAlertStatus(alert.id, 'active');
+    expect(await cycleAt(service, 2500)).toBe(1);
+  });
+});
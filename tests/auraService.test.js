@@ -0,0 +1,67 @@
+// tests/auraService.test.js - Batched token pricing with contract / ambiguity resolution
+import { jest } from '@jest/globals';
+import { AuraService } from '../services/auraService.js';
+import { CacheService } from '../services/cacheService.js';
+import { MarketDataService } from '../services/marketDataService.js';
+
+const PEPE_CONTRACT = '0x6982508145454ce325ddbe47a25d4ec3d2311933';
+
+const provider = (name, prices, extra = {}) => ({
+  name,
+  getPrices: async (symbols, { coinIds = {} } = {}) => symbols
+    .filter(symbol => prices[coinIds[symbol] || symbol] !== undefined)
+    .map(symbol => ({
+      symbol,
+      price: prices[coinIds[symbol] || symbol],
+      source: name.toUpperCase(),
+      timestamp: new Date().toISOString()
+    })),
+  ...extra
+});
+
+// Registry stub: PEPE's contract resolves, "BOB" is shared by two coins
+const registry = {
+  resolve: async ({ symbol, contractAddress }) => {
+    if (contractAddress === PEPE_CONTRACT) return { status: 'resolved', id: 'pepe', matchedBy: 'contract' };
+    if (symbol === 'BOB') {
+      return { status: 'ambiguous', id: null, candidates: [{ id: 'bob-token', name: 'BOB' }, { id: 'build-on-bitcoin', name: 'Build on Bitcoin' }] };
+    }
+    return { status: 'resolved', id: symbol.toLowerCase(), matchedBy: 'symbol' };
+  }
+};
+
+describe('AuraService.getTokenPrices', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new AuraService();
+    service.cache = new CacheService({ backend: 'memory' });
+    service.tokenRegistry = registry;
+    service.marketData = new MarketDataService({
+      providers: [
+        // AURA prices by symbol and knows other coins called PEPE and BOB
+        provider('aura', { PEPE: 1.5, BOB: 3, ETH: 2000 }),
+        provider('coingecko', { pepe: 0.5, ethereum: 2002 }, { acceptsCoinIds: true })
+      ]
+    });
+  });
+
+  afterEach(() => {
+    clearInterval(service.cache.memory.cleanupTimer);
+  });
+
+  test('a contract-pinned token is priced by coin id, not by symbol', async () => {
+    const { prices } = await service.getTokenPrices([{ symbol: 'PEPE', contractAddress: PEPE_CONTRACT }, 'ETH']);
+
+    expect(prices.PEPE).toMatchObject({ current: 0.5, source: 'COINGECKO' });
+    expect(prices.ETH).toMatchObject({ current: 2000, source: 'AURA' });
+  });
+
+  test('an ambiguous symbol is reported instead of guessed', async () => {
+    const { prices, missing, ambiguous } = await service.getTokenPrices(['BOB']);
+
+    expect(prices).toEqual({});
+    expect(missing).toEqual(['BOB']);
+    expect(ambiguous.BOB).toHaveLength(2);
+  });
+});
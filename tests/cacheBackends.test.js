@@ -0,0 +1,142 @@
+// tests/cacheBackends.test.js - MemoryBackend LRU, byte bound and expiry
+import { jest } from '@jest/globals';
+import { MemoryBackend, RedisBackend } from '../services/cacheBackends.js';
+
+describe('MemoryBackend', () => {
+  let backend;
+  let removed;
+
+  const createBackend = (options) => {
+    removed = [];
+    backend = new MemoryBackend({ onRemove: (key, reason) => removed.push([key, reason]), ...options });
+    return backend;
+  };
+
+  afterEach(() => {
+    clearInterval(backend.cleanupTimer);
+    jest.restoreAllMocks();
+  });
+
+  test('evicts the least recently used entry past maxEntries', async () => {
+    createBackend({ maxEntries: 2 });
+    await backend.set('a', 1, 0);
+    await backend.set('b', 2, 0);
+    await backend.get('a'); // a is now more recent than b
+    await backend.set('c', 3, 0);
+
+    expect(await backend.has('a')).toBe(true);
+    expect(await backend.has('b')).toBe(false);
+    expect(await backend.has('c')).toBe(true);
+    expect(removed).toEqual([['b', 'eviction']]);
+  });
+
+  test('overwriting a key does not count it twice', async () => {
+    createBackend({ maxEntries: 2 });
+    await backend.set('a', 1, 0);
+    await backend.set('a', 2, 0);
+    await backend.set('b', 3, 0);
+
+    expect(await backend.size()).toBe(2);
+    expect(await backend.get('a')).toBe(2);
+    expect(removed).toEqual([]);
+  });
+
+  test('evicts oldest entries until the byte bound holds', async () => {
+    createBackend({ maxBytes: 25 });
+    await backend.set('a', 'x'.repeat(8), 0); // 10 bytes as JSON
+    await backend.set('b', 'x'.repeat(8), 0);
+    await backend.set('c', 'x'.repeat(8), 0);
+
+    expect(backend.bytes).toBe(20);
+    expect(removed).toEqual([['a', 'eviction']]);
+    expect(await backend.get('a')).toBeNull();
+  });
+
+  test('refuses a value larger than maxBytes', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    createBackend({ maxBytes: 10 });
+    await backend.set('small', 1, 0);
+
+    expect(await backend.set('big', 'x'.repeat(20), 0)).toBe(false);
+    expect(await backend.has('big')).toBe(false);
+    expect(await backend.has('small')).toBe(true);
+  });
+
+  test('tracks bytes on delete and clear', async () => {
+    createBackend();
+    await backend.set('a', 'abc', 0);
+    await backend.set('b', 'abcdef', 0);
+    await backend.delete('a');
+    expect(backend.bytes).toBe(8);
+
+    await backend.clear();
+    expect(backend.bytes).toBe(0);
+    expect(await backend.size()).toBe(0);
+  });
+
+  test('expires entries after their ttl', async () => {
+    createBackend();
+    const now = Date.now();
+    const clock = jest.spyOn(Date, 'now').mockReturnValue(now);
+    await backend.set('a', 1, 10);
+    await backend.set('b', 2, 0);
+
+    expect(await backend.ttl('a')).toBe(10);
+    expect(await backend.ttl('b')).toBeNull();
+
+    clock.mockReturnValue(now + 11000);
+    expect(await backend.get('a')).toBeNull();
+    expect(await backend.get('b')).toBe(2);
+    expect(removed).toEqual([['a', 'expiration']]);
+  });
+
+  test('keys() lists live keys with a prefix', async () => {
+    createBackend();
+    await backend.set('price:ETH', 1, 60);
+    await backend.set('price:BTC', 2, 0);
+    await backend.set('market:overview', 3, 0);
+
+    const keys = await backend.keys('price:');
+    expect(keys.map(entry => entry.key)).toEqual(['price:ETH', 'price:BTC']);
+    expect(keys[1].ttl).toBeNull();
+  });
+});
+
+describe('RedisBackend.size', () => {
+  // Just enough of a node-redis client for counting keys
+  const createClient = (keys) => ({
+    on: () => {},
+    connect: async () => {},
+    isReady: true,
+    scans: 0,
+    async *scanIterator() {
+      this.scans++;
+      yield* keys;
+    },
+    dbSize: jest.fn(async () => keys.length)
+  });
+
+  test('counts prefixed keys with a SCAN reused for a minute', async () => {
+    const client = createClient(['aura:a', 'aura:b']);
+    const backend = new RedisBackend({ client, prefix: 'aura:' });
+    const now = Date.now();
+    const clock = jest.spyOn(Date, 'now').mockReturnValue(now);
+
+    expect(await backend.size()).toBe(2);
+    expect(await backend.size()).toBe(2);
+    expect(client.scans).toBe(1);
+
+    clock.mockReturnValue(now + 61 * 1000);
+    await backend.size();
+    expect(client.scans).toBe(2);
+    expect(client.dbSize).not.toHaveBeenCalled();
+  });
+
+  test('uses DBSIZE without a prefix', async () => {
+    const client = createClient(['a', 'b', 'c']);
+    const backend = new RedisBackend({ client, prefix: '' });
+
+    expect(await backend.size()).toBe(3);
+    expect(client.scans).toBe(0);
+  });
+});
@@ -0,0 +1,120 @@
+// tests/cacheService.test.js - Single-flight loading and stale-while-revalidate
+import { jest } from '@jest/globals';
+import { CacheService } from '../services/cacheService.js';
+
+describe('CacheService', () => {
+  let cache;
+  let clock;
+  const now = Date.now();
+
+  beforeEach(() => {
+    cache = new CacheService({ backend: 'memory' });
+    clock = jest.spyOn(Date, 'now').mockReturnValue(now);
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    clearInterval(cache.memory.cleanupTimer);
+    jest.restoreAllMocks();
+  });
+
+  describe('getOrLoad', () => {
+    test('concurrent misses share one loader call', async () => {
+      let finishLoad;
+      const pending = new Promise(resolve => { finishLoad = resolve; });
+      const loader = jest.fn(() => pending);
+
+      const first = cache.getOrLoad('price:ETH', loader);
+      const second = cache.getOrLoad('price:ETH', loader);
+      finishLoad(2000);
+
+      await expect(Promise.all([first, second])).resolves.toEqual([2000, 2000]);
+      expect(loader).toHaveBeenCalledTimes(1);
+      expect((await cache.getStats()).coalesced).toBe(1);
+      expect(await cache.get('price:ETH')).toBe(2000);
+    });
+
+    test('serves a stale value and refreshes it in the background', async () => {
+      await cache.set('price:ETH', 2000, 60, { staleTtl: 60 });
+      clock.mockReturnValue(now + 90 * 1000);
+
+      const loader = jest.fn(async () => 2100);
+      await expect(cache.getOrLoad('price:ETH', loader, { ttl: 60, staleTtl: 60 })).resolves.toBe(2000);
+      expect(loader).toHaveBeenCalledTimes(1);
+
+      await cache.loading.get('price:ETH');
+      expect(await cache.get('price:ETH')).toBe(2100);
+      expect((await cache.getStats()).staleHits).toBe(1);
+    });
+
+    test('keeps serving the stale value when the refresh fails', async () => {
+      await cache.set('price:ETH', 2000, 60, { staleTtl: 60 });
+      clock.mockReturnValue(now + 90 * 1000);
+
+      const loader = async () => { throw new Error('provider down'); };
+      await expect(cache.getOrLoad('price:ETH', loader, { ttl: 60, staleTtl: 60 })).resolves.toBe(2000);
+      await expect(cache.getOrLoad('price:ETH', loader, { ttl: 60, staleTtl: 60 })).resolves.toBe(2000);
+    });
+
+    test('loads again once the stale window has passed', async () => {
+      await cache.set('price:ETH', 2000, 60, { staleTtl: 60 });
+      clock.mockReturnValue(now + 121 * 1000);
+
+      await expect(cache.getOrLoad('price:ETH', async () => 2100, { ttl: 60, staleTtl: 60 })).resolves.toBe(2100);
+    });
+
+    test('does not cache empty results and passes loader errors through', async () => {
+      await expect(cache.getOrLoad('price:ETH', async () => null)).resolves.toBeNull();
+      expect(await cache.has('price:ETH')).toBe(false);
+
+      await expect(cache.getOrLoad('price:ETH', async () => { throw new Error('provider down'); }))
+        .rejects.toThrow('provider down');
+      expect(cache.loading.size).toBe(0);
+    });
+  });
+
+  describe('get / has', () => {
+    test('treat a stale value as a miss', async () => {
+      await cache.set('price:ETH', 2000, 60, { staleTtl: 60 });
+      expect(await cache.get('price:ETH')).toBe(2000);
+      expect(await cache.has('price:ETH')).toBe(true);
+
+      clock.mockReturnValue(now + 90 * 1000);
+      expect(await cache.get('price:ETH')).toBeNull();
+      expect(await cache.has('price:ETH')).toBe(false);
+      expect(await cache.inspect('price:ETH')).toMatchObject({ stale: true, value: 2000 });
+
+      const stats = await cache.getStats();
+      expect(stats).toMatchObject({ hits: 1, misses: 1 });
+    });
+  });
+
+  describe('stats', () => {
+    // Remote backend whose data calls are fast and whose key count hangs
+    const slowStatsBackend = () => {
+      const store = new Map();
+      return {
+        name: 'slow',
+        get: async (key) => store.get(key) ?? null,
+        set: async (key, value) => { store.set(key, value); return true; },
+        size: () => new Promise(() => {}),
+        getStats: () => new Promise(() => {})
+      };
+    };
+
+    test('a slow key count does not degrade the cache', async () => {
+      clock.mockRestore();
+      const remote = new CacheService({ backend: slowStatsBackend(), statsTimeoutMs: 20 });
+
+      const stats = await remote.getStats();
+      expect(stats).toMatchObject({ backend: 'slow', degraded: false, size: 0 });
+      expect(remote.breaker.state).toBe('CLOSED');
+
+      await remote.set('price:ETH', 2000);
+      expect(await remote.get('price:ETH')).toBe(2000);
+      expect(remote.memory.entries.size).toBe(0); // served by the remote backend
+
+      clearInterval(remote.memory.cleanupTimer);
+    });
+  });
+});
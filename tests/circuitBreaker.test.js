@@ -0,0 +1,95 @@
+// tests/circuitBreaker.test.js - CircuitBreaker state transitions and timeout
+import { jest } from '@jest/globals';
+import { CircuitBreaker } from '../services/circuitBreaker.js';
+import { CircuitOpenError } from '../utils/errors.js';
+
+const fail = () => Promise.reject(new Error('upstream down'));
+const succeed = () => Promise.resolve('ok');
+
+describe('CircuitBreaker', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('opens after failureThreshold consecutive failures', async () => {
+    const breaker = new CircuitBreaker('test', { failureThreshold: 2 });
+
+    await expect(breaker.exec(fail)).rejects.toThrow('upstream down');
+    expect(breaker.state).toBe('CLOSED');
+    await expect(breaker.exec(fail)).rejects.toThrow('upstream down');
+    expect(breaker.state).toBe('OPEN');
+  });
+
+  test('a success resets the failure count', async () => {
+    const breaker = new CircuitBreaker('test', { failureThreshold: 2 });
+
+    await expect(breaker.exec(fail)).rejects.toThrow();
+    await expect(breaker.exec(succeed)).resolves.toBe('ok');
+    await expect(breaker.exec(fail)).rejects.toThrow();
+
+    expect(breaker.state).toBe('CLOSED');
+    expect(breaker.getStatus().consecutiveFailures).toBe(1);
+  });
+
+  test('rejects calls while open without running them', async () => {
+    const breaker = new CircuitBreaker('test', { failureThreshold: 1 });
+    await expect(breaker.exec(fail)).rejects.toThrow();
+
+    const fn = jest.fn(succeed);
+    await expect(breaker.exec(fn)).rejects.toBeInstanceOf(CircuitOpenError);
+    expect(fn).not.toHaveBeenCalled();
+    expect(breaker.getStatus()).toMatchObject({ state: 'OPEN', rejected: 1 });
+    expect(breaker.getStatus().retryAt).not.toBeNull();
+  });
+
+  test('moves to HALF_OPEN after resetTimeoutMs', async () => {
+    const breaker = new CircuitBreaker('test', { failureThreshold: 1, resetTimeoutMs: 1000 });
+    await expect(breaker.exec(fail)).rejects.toThrow();
+
+    expect(breaker.isAvailable(breaker.openedAt + 999)).toBe(false);
+    expect(breaker.isAvailable(breaker.openedAt + 1000)).toBe(true);
+    expect(breaker.state).toBe('HALF_OPEN');
+  });
+
+  test('a successful trial call closes the circuit', async () => {
+    const breaker = new CircuitBreaker('test', { failureThreshold: 1, resetTimeoutMs: 0 });
+    await expect(breaker.exec(fail)).rejects.toThrow();
+
+    await expect(breaker.exec(succeed)).resolves.toBe('ok');
+    expect(breaker.state).toBe('CLOSED');
+  });
+
+  test('a failed trial call re-opens the circuit', async () => {
+    const breaker = new CircuitBreaker('test', { failureThreshold: 3, resetTimeoutMs: 1000 });
+    breaker.state = 'OPEN';
+    breaker.openedAt = Date.now() - 1000;
+
+    await expect(breaker.exec(fail)).rejects.toThrow('upstream down');
+    expect(breaker.state).toBe('OPEN');
+  });
+
+  test('allows a single trial call at a time', async () => {
+    const breaker = new CircuitBreaker('test', { failureThreshold: 1, resetTimeoutMs: 0 });
+    await expect(breaker.exec(fail)).rejects.toThrow();
+
+    let finishTrial;
+    const trial = breaker.exec(() => new Promise(resolve => { finishTrial = resolve; }));
+    await expect(breaker.exec(succeed)).rejects.toBeInstanceOf(CircuitOpenError);
+
+    finishTrial('done');
+    await expect(trial).resolves.toBe('done');
+    expect(breaker.state).toBe('CLOSED');
+  });
+
+  test('fails calls that exceed timeoutMs', async () => {
+    const breaker = new CircuitBreaker('test', { timeoutMs: 20 });
+    const slow = () => new Promise(resolve => setTimeout(() => resolve('late'), 200));
+
+    await expect(breaker.exec(slow)).rejects.toThrow('test timed out after 20ms');
+    expect(breaker.getStatus().lastError).toBe('test timed out after 20ms');
+  });
+});
@@ -0,0 +1,63 @@
+// tests/indicators.test.js - Technical indicators over a price series
+import { sma, rsi, bollingerBands, smaCrossover } from '../services/indicators.js';
+
+describe('sma', () => {
+  test('averages the last period values', () => {
+    expect(sma([1, 2, 3, 4, 5], 3)).toBe(4);
+    expect(sma([10, 20], 2)).toBe(15);
+  });
+
+  test('returns null without enough data', () => {
+    expect(sma([1, 2], 3)).toBeNull();
+  });
+});
+
+describe('rsi', () => {
+  test('returns null without period + 1 values', () => {
+    expect(rsi([1, 2, 3], 3)).toBeNull();
+  });
+
+  test('is 100 when prices only rise and 0 when they only fall', () => {
+    expect(rsi([1, 2, 3, 4, 5], 3)).toBe(100);
+    expect(rsi([5, 4, 3, 2, 1], 3)).toBe(0);
+  });
+
+  test('is 50 for a flat series', () => {
+    expect(rsi([3, 3, 3, 3], 3)).toBe(50);
+  });
+
+  test("applies Wilder's smoothing after the first window", () => {
+    // First window (+2, -1, 0): avgGain 2/3, avgLoss 1/3.
+    // Next change +1: avgGain (2/3*2+1)/3 = 7/9, avgLoss (1/3*2)/3 = 2/9 → RS 3.5 → RSI 77.78
+    expect(rsi([10, 12, 11, 11, 12], 3)).toBeCloseTo(77.78);
+  });
+});
+
+describe('bollingerBands', () => {
+  test('returns the SMA ± stdDev population deviations', () => {
+    const bands = bollingerBands([2, 4, 4, 4, 5, 5, 7, 9], 8, 2);
+    expect(bands).toEqual({ upper: 9, middle: 5, lower: 1 });
+  });
+
+  test('returns null without enough data', () => {
+    expect(bollingerBands([1, 2, 3], 20)).toBeNull();
+  });
+});
+
+describe('smaCrossover', () => {
+  test('detects the fast SMA crossing above the slow SMA', () => {
+    expect(smaCrossover([5, 4, 3, 2, 6], 2, 4)).toBe('UP');
+  });
+
+  test('detects the fast SMA crossing below the slow SMA', () => {
+    expect(smaCrossover([1, 2, 3, 4, 0], 2, 4)).toBe('DOWN');
+  });
+
+  test('returns null when there is no crossover on the latest sample', () => {
+    expect(smaCrossover([1, 2, 3, 4, 5], 2, 4)).toBeNull();
+  });
+
+  test('returns null without slowPeriod + 1 values', () => {
+    expect(smaCrossover([1, 2, 3, 4], 2, 4)).toBeNull();
+  });
+});
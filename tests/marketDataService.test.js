@@ -0,0 +1,199 @@
+// tests/marketDataService.test.js - Consensus pricing across providers
+import { jest } from '@jest/globals';
+import { MarketDataService } from '../services/marketDataService.js';
+
+const OPTIONS = { maxDeviationPct: 2, maxAgeMs: 10 * 60 * 1000 };
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000).toISOString();
+
+const quote = (provider, price, overrides = {}) => ({
+  provider,
+  source: provider.toUpperCase(),
+  symbol: 'ETH',
+  price,
+  change24h: null,
+  marketCap: null,
+  volume24h: null,
+  timestamp: minutesAgo(1),
+  ...overrides
+});
+
+// Provider stub returning fixed quotes (createQuote shape) for the symbols asked
+const provider = (name, prices, extra = {}) => ({
+  name,
+  getPrices: jest.fn(async (symbols) => symbols
+    .filter(symbol => prices[symbol] !== undefined)
+    .map(symbol => ({ ...quote(name, prices[symbol]), symbol }))),
+  ...extra
+});
+
+describe('MarketDataService.buildConsensus', () => {
+  const service = new MarketDataService({ providers: [] });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('agreeing fresh sources give a high confidence median', () => {
+    const result = service.buildConsensus('ETH', [
+      quote('aura', 2000),
+      quote('coingecko', 2010),
+      quote('coinpaprika', 2004)
+    ], OPTIONS);
+
+    expect(result).toMatchObject({ symbol: 'ETH', price: 2004, source: 'CONSENSUS', confidence: 'high', stale: false });
+    expect(result.spread).toBeCloseTo(0.499, 3);
+    expect(result.sources.every(source => !source.outlier && !source.stale)).toBe(true);
+  });
+
+  test('a deviating source is flagged and left out of the price', () => {
+    const result = service.buildConsensus('ETH', [
+      quote('aura', 2000),
+      quote('coingecko', 2002),
+      quote('coinpaprika', 2004),
+      quote('cryptocompare', 2500)
+    ], OPTIONS);
+
+    const outlier = result.sources.find(source => source.provider === 'cryptocompare');
+    expect(outlier.outlier).toBe(true);
+    expect(outlier.deviationPct).toBeGreaterThan(2);
+    expect(result.price).toBe(2002);
+    expect(result.confidence).toBe('medium');
+  });
+
+  test('confidence is low when no majority agrees', () => {
+    const result = service.buildConsensus('ETH', [
+      quote('aura', 1000),
+      quote('coingecko', 2000)
+    ], OPTIONS);
+
+    expect(result.sources.every(source => source.outlier)).toBe(true);
+    expect(result.confidence).toBe('low');
+    expect(result.price).toBe(1500);
+  });
+
+  test('a single fresh source is medium confidence', () => {
+    const result = service.buildConsensus('ETH', [quote('aura', 2000)], OPTIONS);
+
+    expect(result.confidence).toBe('medium');
+    expect(result.spread).toBe(0);
+  });
+
+  test('stale quotes are ignored while a fresh one exists', () => {
+    const fresh = minutesAgo(1);
+    const result = service.buildConsensus('ETH', [
+      quote('aura', 2000, { timestamp: fresh }),
+      quote('coingecko', 1500, { timestamp: minutesAgo(30) })
+    ], OPTIONS);
+
+    const stale = result.sources.find(source => source.provider === 'coingecko');
+    expect(stale).toMatchObject({ stale: true, outlier: false });
+    expect(result.price).toBe(2000);
+    expect(result.timestamp).toBe(fresh);
+    expect(result.stale).toBe(false);
+  });
+
+  test('quotes without a timestamp count as stale', () => {
+    const result = service.buildConsensus('ETH', [
+      quote('aura', 2000, { timestamp: null }),
+      quote('coingecko', 2002, { timestamp: null })
+    ], OPTIONS);
+
+    expect(result.sources.every(source => source.stale)).toBe(true);
+    expect(result).toMatchObject({ price: 2001, confidence: 'low', stale: true, timestamp: null });
+  });
+
+  test('secondary fields come from agreeing sources only', () => {
+    const result = service.buildConsensus('ETH', [
+      quote('aura', 2000, { volume24h: 100 }),
+      quote('coingecko', 2002, { volume24h: 200 }),
+      quote('coinpaprika', 3000, { volume24h: 9000 })
+    ], OPTIONS);
+
+    expect(result.volume24h).toBe(150);
+    expect(result.marketCap).toBeNull();
+  });
+});
+
+describe('MarketDataService.getConsensusPrices', () => {
+  test('combines every provider per symbol and skips unknown symbols', async () => {
+    const service = new MarketDataService({
+      providers: [
+        provider('aura', { ETH: 2000 }),
+        provider('coingecko', { ETH: 2002, BTC: 60000 })
+      ]
+    });
+
+    const result = await service.getConsensusPrices(['eth', 'btc', 'doge']);
+
+    expect(Object.keys(result).sort()).toEqual(['BTC', 'ETH']);
+    expect(result.ETH.price).toBe(2001);
+    expect(result.ETH.confidence).toBe('high');
+    expect(result.BTC.sources.map(source => source.provider)).toEqual(['coingecko']);
+  });
+});
+
+describe('MarketDataService coin id pinning', () => {
+  // AURA knows a different coin under the same symbol
+  const createService = () => new MarketDataService({
+    providers: [
+      provider('aura', { PEPE: 1.5, ETH: 2000 }),
+      provider('coingecko', { PEPE: 0.5, ETH: 2002 }, { acceptsCoinIds: true })
+    ]
+  });
+
+  test('symbols with a coin id are only priced by providers that accept ids', async () => {
+    const service = createService();
+    const quotes = await service.getPrices(['PEPE', 'ETH'], { coinIds: { PEPE: 'pepe' } });
+
+    expect(quotes.PEPE).toMatchObject({ price: 0.5, source: 'COINGECKO' });
+    expect(quotes.ETH).toMatchObject({ price: 2000, source: 'AURA' });
+    expect(service.providers[0].getPrices).toHaveBeenCalledWith(['ETH'], expect.anything());
+  });
+
+  test('ambiguous symbols are never priced by symbol', async () => {
+    const service = new MarketDataService({ providers: [provider('aura', { PEPE: 1.5 })] });
+
+    expect(await service.getPrices(['PEPE'], { requireIds: ['pepe'] })).toEqual({});
+    expect(service.providers[0].getPrices).not.toHaveBeenCalled();
+  });
+
+  test('consensus leaves symbol-only providers out for pinned symbols', async () => {
+    const service = createService();
+    const quotes = await service.getConsensusPrices(['PEPE', 'ETH'], { coinIds: { PEPE: 'pepe' } });
+
+    expect(quotes.PEPE.sources.map(source => source.provider)).toEqual(['coingecko']);
+    expect(quotes.ETH.sources.map(source => source.provider)).toEqual(['aura', 'coingecko']);
+  });
+});
+
+describe('MarketDataService batch size', () => {
+  // AURA has no multi-symbol endpoint
+  const createService = () => new MarketDataService({
+    providers: [
+      provider('aura', { ETH: 2000, BTC: 60000 }, { maxBatchSize: 1 }),
+      provider('coingecko', { ETH: 2002, BTC: 60010 })
+    ]
+  });
+
+  test('batches skip providers that price one symbol per request', async () => {
+    const service = createService();
+    const quotes = await service.getPrices(['ETH', 'BTC']);
+
+    expect(quotes.ETH.source).toBe('COINGECKO');
+    expect(service.providers[0].getPrices).not.toHaveBeenCalled();
+    expect(service.providers[1].getPrices).toHaveBeenCalledTimes(1);
+  });
+
+  test('a single symbol is still priced by them', async () => {
+    const service = createService();
+
+    expect((await service.getPrices(['ETH'])).ETH.source).toBe('AURA');
+    expect((await service.getConsensusPrices(['ETH'])).ETH.sources).toHaveLength(2);
+    expect((await service.getConsensusPrices(['ETH', 'BTC'])).ETH.sources.map(source => source.provider))
+      .toEqual(['coingecko']);
+  });
+});
@@ -0,0 +1,68 @@
+// tests/network.test.js - Private address guard for webhook URLs
+import { isPrivateAddress, getUrlSafetyError, publicOnlyRequestOptions } from '../utils/network.js';
+import { BlockedDestinationError } from '../utils/errors.js';
+
+describe('isPrivateAddress', () => {
+  test.each([
+    '127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0',
+    '224.0.0.1', '::1', '::', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1'
+  ])('%s is private', (address) => {
+    expect(isPrivateAddress(address)).toBe(true);
+  });
+
+  test.each(['8.8.8.8', '172.32.0.1', '2606:4700:4700::1111', 'example.com'])('%s is not private', (address) => {
+    expect(isPrivateAddress(address)).toBe(false);
+  });
+});
+
+describe('getUrlSafetyError', () => {
+  afterEach(() => {
+    delete process.env.ALLOW_PRIVATE_WEBHOOKS;
+  });
+
+  test('accepts public http(s) URLs', () => {
+    expect(getUrlSafetyError('https://hooks.example.com/alerts')).toBeNull();
+    expect(getUrlSafetyError('http://8.8.8.8/hook')).toBeNull();
+  });
+
+  test('rejects other protocols and malformed URLs', () => {
+    expect(getUrlSafetyError('ftp://example.com/hook')).toBe('must be a valid http(s) URL');
+    expect(getUrlSafetyError('not a url')).toBe('must be a valid http(s) URL');
+  });
+
+  test.each([
+    'http://localhost:3000/hook',
+    'http://api.localhost/hook',
+    'http://localhost./hook',
+    'http://127.0.0.1/hook',
+    'http://169.254.169.254/latest/meta-data',
+    'http://[::1]/hook',
+    'http://[::ffff:10.0.0.1]/hook',
+    'http://2130706433/hook' // 127.0.0.1 written as a number
+  ])('rejects %s', (url) => {
+    expect(getUrlSafetyError(url)).toBe('must not point to a loopback, private or link-local address');
+  });
+
+  test('ALLOW_PRIVATE_WEBHOOKS lets local receivers through', () => {
+    process.env.ALLOW_PRIVATE_WEBHOOKS = 'true';
+    expect(getUrlSafetyError('http://localhost:3000/hook')).toBeNull();
+    expect(getUrlSafetyError('ftp://localhost/hook')).toBe('must be a valid http(s) URL');
+  });
+});
+
+describe('publicOnlyRequestOptions', () => {
+  test('disables redirects and checks resolved addresses', () => {
+    const options = publicOnlyRequestOptions('https://hooks.example.com/alerts');
+    expect(options.maxRedirects).toBe(0);
+    expect(typeof options.lookup).toBe('function');
+  });
+
+  test('throws for private targets', () => {
+    expect(() => publicOnlyRequestOptions('http://10.0.0.5/hook')).toThrow(BlockedDestinationError);
+  });
+
+  test('the lookup refuses hostnames resolving to private addresses', async () => {
+    const { lookup } = publicOnlyRequestOptions('https://hooks.example.com/alerts');
+    await expect(lookup('localhost', {})).rejects.toBeInstanceOf(BlockedDestinationError);
+  });
+});
@@ -0,0 +1,52 @@
+// tests/tokenClassificationRegistry.test.js - Contract and symbol lookups
+import { jest } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { TokenClassificationRegistry } from '../services/tokenClassificationRegistry.js';
+
+const USDC = '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48';
+const SPOOF = '0x000000000000000000000000000000000000dead';
+
+describe('TokenClassificationRegistry.classify', () => {
+  let dir;
+  let registry;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'classifications-test-'));
+    const dataPath = path.join(dir, 'tokens.json');
+    await fs.writeFile(dataPath, JSON.stringify({
+      tokens: [
+        { symbol: 'USDC', category: 'stablecoin', chain: 'ethereum', contractAddress: USDC, liquidityTier: 'high' },
+        { symbol: 'ETH', category: 'bluechip', chain: 'ethereum', contractAddress: null, liquidityTier: 'high' }
+      ]
+    }));
+    registry = new TokenClassificationRegistry({ dataPath, filePath: path.join(dir, 'overrides.json') });
+    await registry.ready;
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('matches by contract, or by symbol when no contract is given', () => {
+    expect(registry.classify({ symbol: 'USDC', contractAddress: USDC.toUpperCase(), chain: 'ethereum' }))
+      .toMatchObject({ category: 'stablecoin', classified: true });
+    expect(registry.classify('usdc')).toMatchObject({ category: 'stablecoin', classified: true });
+  });
+
+  test('an unknown contract is not classified by its symbol', () => {
+    expect(registry.classify({ symbol: 'USDC', contractAddress: SPOOF, chain: 'ethereum' }))
+      .toEqual({ symbol: 'USDC', category: 'altcoin', liquidityTier: 'low', classified: false });
+  });
+
+  test('entries without a contract still apply to any contract', async () => {
+    expect(registry.classify({ symbol: 'ETH', contractAddress: SPOOF, chain: 'ethereum' }).category).toBe('bluechip');
+
+    await registry.upsert({ symbol: 'USDC', category: 'stablecoin', liquidityTier: 'medium' });
+    expect(registry.classify({ symbol: 'USDC', contractAddress: SPOOF, chain: 'ethereum' }))
+      .toMatchObject({ liquidityTier: 'medium', classified: true });
+  });
+});
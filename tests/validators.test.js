@@ -0,0 +1,142 @@
+// tests/validators.test.js - Per-type alert definition validation
+import { getAlertValidationErrors, validateAlertCreate } from '../middleware/validators.js';
+
+const WALLET = '0x742d35Cc6634C0532925a3b844Bc454e4438f44e';
+const fields = (alert) => getAlertValidationErrors(alert).map(detail => detail.field);
+
+describe('getAlertValidationErrors', () => {
+  test('rejects an unknown type', () => {
+    expect(getAlertValidationErrors({ type: 'WEATHER' })).toEqual([
+      { field: 'type', message: expect.stringContaining('PRICE') }
+    ]);
+  });
+
+  test('rejects a condition the type does not support', () => {
+    const [detail] = getAlertValidationErrors({ type: 'BALANCE', condition: 'CHANGE_UP', value: 5, token: 'ETH' });
+    expect(detail).toEqual({ field: 'condition', message: 'BALANCE condition must be one of: ABOVE, BELOW' });
+  });
+
+  describe('PRICE', () => {
+    test('accepts a threshold alert', () => {
+      expect(fields({ type: 'PRICE', condition: 'ABOVE', value: 3000, token: 'ETH' })).toEqual([]);
+    });
+
+    test('requires a token and a non-negative value', () => {
+      expect(fields({ type: 'PRICE', condition: 'BELOW', value: -1 })).toEqual(['value', 'token']);
+      expect(fields({ type: 'PRICE', condition: 'BELOW', token: 'ETH' })).toEqual(['value']);
+    });
+
+    test('indicator conditions take no value and an optional threshold', () => {
+      expect(fields({ type: 'PRICE', condition: 'SMA_CROSS_UP', token: 'ETH' })).toEqual([]);
+      expect(fields({ type: 'PRICE', condition: 'RSI_OVERSOLD', token: 'ETH' })).toEqual([]);
+      expect(fields({ type: 'PRICE', condition: 'RSI_OVERBOUGHT', value: 120, token: 'ETH' })).toEqual(['value']);
+    });
+
+    test('validates indicator params', () => {
+      const alert = { type: 'PRICE', condition: 'SMA_CROSS_UP', token: 'ETH' };
+
+      expect(fields({ ...alert, params: { fastPeriod: 5, slowPeriod: 20 } })).toEqual([]);
+      expect(fields({ ...alert, params: { fastPeriod: 20, slowPeriod: 5 } })).toEqual(['params.fastPeriod']);
+      expect(fields({ ...alert, params: { period: 2.5, foo: 1 } })).toEqual(['params.period', 'params.foo']);
+      expect(fields({ ...alert, params: [5] })).toEqual(['params']);
+    });
+  });
+
+  describe('RISK', () => {
+    test('checks score ranges and levels', () => {
+      expect(fields({ type: 'RISK', condition: 'EXCEEDS', value: 70 })).toEqual([]);
+      expect(fields({ type: 'RISK', condition: 'EXCEEDS', value: 150 })).toEqual(['value']);
+      expect(fields({ type: 'RISK', condition: 'LEVEL', value: 'HIGH' })).toEqual([]);
+      expect(fields({ type: 'RISK', condition: 'LEVEL', value: 'EXTREME' })).toEqual(['value']);
+    });
+  });
+
+  describe('TRANSACTION', () => {
+    test('RISKY takes no value, TRANSFER an optional minimum', () => {
+      expect(fields({ type: 'TRANSACTION', condition: 'RISKY' })).toEqual([]);
+      expect(fields({ type: 'TRANSACTION', condition: 'TRANSFER' })).toEqual([]);
+      expect(fields({ type: 'TRANSACTION', condition: 'TRANSFER', value: '100' })).toEqual(['value']);
+    });
+
+    test('validates transfer filters', () => {
+      const alert = { type: 'TRANSACTION', condition: 'TRANSFER' };
+
+      expect(fields({ ...alert, direction: 'IN', token: 'USDC', counterparties: { allow: [WALLET] } })).toEqual([]);
+      expect(fields({ ...alert, direction: 'SIDEWAYS', token: ' ' })).toEqual(['direction', 'token']);
+      expect(fields({ ...alert, counterparties: { deny: ['not-an-address'] } })).toEqual(['counterparties.deny']);
+      expect(fields({ ...alert, counterparties: [WALLET] })).toEqual(['counterparties']);
+    });
+  });
+
+  describe('ALLOCATION_DRIFT', () => {
+    const alert = { type: 'ALLOCATION_DRIFT', condition: 'EXCEEDS', value: 5 };
+
+    test('requires a target map', () => {
+      expect(fields({ ...alert, targets: { ETH: 60, USDC: 40 } })).toEqual([]);
+      expect(fields(alert)).toEqual(['targets']);
+      expect(fields({ ...alert, targets: {} })).toEqual(['targets']);
+    });
+
+    test('rejects invalid percentages and totals above 100', () => {
+      expect(fields({ ...alert, targets: { ETH: 120 } })).toEqual(['targets.ETH', 'targets']);
+      expect(fields({ ...alert, targets: { ETH: 70, BTC: 40 } })).toEqual(['targets']);
+    });
+  });
+
+  describe('COMPOSITE', () => {
+    const price = { type: 'PRICE', condition: 'ABOVE', value: 3000, token: 'ETH' };
+    const risk = { type: 'RISK', condition: 'EXCEEDS', value: 70 };
+
+    test('accepts a nested expression', () => {
+      const expression = { operator: 'AND', conditions: [price, { operator: 'OR', conditions: [risk, price] }] };
+      expect(fields({ type: 'COMPOSITE', expression })).toEqual([]);
+    });
+
+    test('reports child errors with their path', () => {
+      const expression = { operator: 'XOR', conditions: [price, { ...risk, value: 200 }] };
+      expect(fields({ type: 'COMPOSITE', expression })).toEqual([
+        'expression.operator',
+        'expression.conditions[1].value'
+      ]);
+    });
+
+    test('rejects small groups, nested COMPOSITE predicates and deep nesting', () => {
+      expect(fields({ type: 'COMPOSITE', expression: { operator: 'AND', conditions: [price] } }))
+        .toEqual(['expression.conditions']);
+      expect(fields({ type: 'COMPOSITE', expression: { operator: 'OR', conditions: [price, { type: 'COMPOSITE' }] } }))
+        .toEqual(['expression.conditions[1].type']);
+
+      const deep = [1, 2, 3].reduce(node => ({ operator: 'AND', conditions: [node, price] }), price);
+      expect(fields({ type: 'COMPOSITE', expression: deep })).toEqual([]);
+      expect(fields({ type: 'COMPOSITE', expression: { operator: 'AND', conditions: [deep, price] } }))
+        .toEqual(['expression.conditions[0].conditions[0].conditions[0]']);
+    });
+
+    test('limits the number of predicates', () => {
+      const conditions = Array.from({ length: 11 }, () => price);
+      expect(fields({ type: 'COMPOSITE', expression: { operator: 'OR', conditions } })).toEqual(['expression']);
+    });
+  });
+});
+
+describe('validateAlertCreate', () => {
+  // Runs the middleware, returning the 400 body or null when it called next()
+  const run = (body) => {
+    let rejected = null;
+    const res = { status: () => ({ json: (payload) => { rejected = payload; } }) };
+    validateAlertCreate({ body }, res, () => {});
+    return rejected;
+  };
+  const alert = { address: WALLET, type: 'PRICE', condition: 'ABOVE', value: 3000, token: 'ETH' };
+
+  test('accepts a public webhook with a string secret', () => {
+    expect(run({ ...alert, webhookUrl: 'https://hooks.example.com/alerts', webhookSecret: 'my-secret' })).toBeNull();
+  });
+
+  test('rejects private webhook URLs and non-string secrets', () => {
+    const rejected = run({ ...alert, webhookUrl: 'http://169.254.169.254/hook', webhookSecret: 42 });
+
+    expect(rejected.error).toBe('Validation failed');
+    expect(rejected.details.map(detail => detail.field)).toEqual(['webhookUrl', 'webhookSecret']);
+  });
+});
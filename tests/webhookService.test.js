@@ -0,0 +1,123 @@
+// tests/webhookService.test.js - Webhook signing, retries and dead-lettering
+import { jest } from '@jest/globals';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { WebhookService } from '../services/webhookService.js';
+
+const SECRET = 'test-secret';
+const alert = (url) => ({ id: 'alert_1', address: '0xabc', type: 'PRICE', condition: 'ABOVE', value: 1, token: 'ETH', webhookUrl: url });
+
+// Local receiver answering with the next queued status (200 once the queue is empty)
+const startReceiver = async () => {
+  const requests = [];
+  const statuses = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body });
+      res.statusCode = statuses.shift() || 200;
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { server, requests, statuses, url: `http://127.0.0.1:${server.address().port}/hook` };
+};
+
+const waitFor = async (condition, timeoutMs = 2000) => {
+  const start = Date.now();
+  while (!condition()) {
+    if (Date.now() - start > timeoutMs) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+describe('WebhookService', () => {
+  let receiver;
+  let filePath;
+
+  beforeEach(async () => {
+    process.env.ALLOW_PRIVATE_WEBHOOKS = 'true';
+    receiver = await startReceiver();
+    filePath = path.join(os.tmpdir(), `webhooks-${process.pid}-${Date.now()}.json`);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    delete process.env.ALLOW_PRIVATE_WEBHOOKS;
+    await new Promise(resolve => receiver.server.close(resolve));
+    await fs.rm(filePath, { force: true });
+    jest.restoreAllMocks();
+  });
+
+  const createService = (options = {}) => new WebhookService({
+    filePath,
+    baseDelayMs: 10,
+    resolveSecret: async () => SECRET,
+    ...options
+  });
+
+  test('signs the raw body with the alert secret', async () => {
+    const service = createService();
+    const delivery = await service.deliver(alert(receiver.url), { notification: { message: 'ETH above 1' } });
+
+    expect(delivery.status).toBe('delivered');
+    const [{ headers, body }] = receiver.requests;
+    const expected = crypto.createHmac('sha256', SECRET).update(`${headers['x-aura-timestamp']}.${body}`).digest('hex');
+    expect(headers['x-aura-signature']).toBe(`sha256=${expected}`);
+    expect(headers['x-aura-delivery']).toBe(delivery.id);
+    expect(JSON.parse(body)).toMatchObject({ event: 'alert.triggered', deliveryId: delivery.id, alert: { id: 'alert_1' } });
+  });
+
+  test('retries failed deliveries with backoff', async () => {
+    receiver.statuses.push(500, 503);
+    const service = createService();
+    const delivery = await service.deliver(alert(receiver.url), {});
+
+    expect(delivery).toMatchObject({ status: 'retrying', attempts: 1, responseStatus: 500 });
+    await waitFor(() => delivery.status === 'delivered');
+    expect(delivery.attempts).toBe(3);
+    expect(receiver.requests).toHaveLength(3);
+  });
+
+  test('dead-letters after maxAttempts', async () => {
+    receiver.statuses.push(500, 500, 500);
+    const service = createService({ maxAttempts: 2 });
+    const delivery = await service.deliver(alert(receiver.url), {});
+
+    await waitFor(() => delivery.status === 'dead_letter');
+    expect(delivery.attempts).toBe(2);
+    expect(receiver.requests).toHaveLength(2);
+  });
+
+  test('never sends an unsigned request when the alert has no secret', async () => {
+    const service = createService({ resolveSecret: async () => null });
+    const delivery = await service.deliver(alert(receiver.url), {});
+
+    expect(delivery).toMatchObject({ status: 'dead_letter', lastError: 'Alert has no webhook signing secret' });
+    expect(receiver.requests).toHaveLength(0);
+  });
+
+  test('dead-letters private destinations right away', async () => {
+    delete process.env.ALLOW_PRIVATE_WEBHOOKS;
+    const service = createService();
+    const delivery = await service.deliver(alert(receiver.url), {});
+
+    expect(delivery).toMatchObject({ status: 'dead_letter', attempts: 1 });
+    expect(receiver.requests).toHaveLength(0);
+  });
+
+  test('keeps the delivery log across restarts', async () => {
+    const service = createService();
+    const delivery = await service.deliver(alert(receiver.url), {});
+
+    const reloaded = createService();
+    const [stored] = await reloaded.getDeliveries('alert_1');
+    expect(stored).toMatchObject({ id: delivery.id, status: 'delivered', attempts: 1 });
+  });
+});
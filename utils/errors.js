@@ -0,0 +1,48 @@
+// utils/errors.js - Application error types (mapped to HTTP codes by middleware/errorHandler.js)
+export class ValidationError extends Error {
+  constructor(message, details = []) {
+    super(message);
+    this.name = 'ValidationError';
+    this.details = details;
+  }
+}
+
+export class CircuitOpenError extends Error {
+  constructor(name, retryAt) {
+    super(`${name} is unavailable (circuit open until ${new Date(retryAt).toISOString()})`);
+    this.name = 'CircuitOpenError';
+    this.retryAt = retryAt;
+  }
+}
+
+export class LowConfidenceError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'LowConfidenceError';
+    this.details = details;
+  }
+}
+
+export class ServiceUnavailableError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ServiceUnavailableError';
+    this.statusCode = 503;
+  }
+}
+
+export class UnauthorizedError extends Error {
+  constructor(message = 'Unauthorized access') {
+    super(message);
+    this.name = 'UnauthorizedError';
+    this.statusCode = 401;
+  }
+}
+
+// Outbound request to a URL that points at a loopback/private/link-local address
+export class BlockedDestinationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'BlockedDestinationError';
+  }
+}
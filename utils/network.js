@@ -0,0 +1,77 @@
+// utils/network.js - Guards for outbound requests to user-supplied URLs (webhooks)
+import dns from 'dns/promises';
+import net from 'net';
+import { BlockedDestinationError } from './errors.js';
+
+// Loopback, private, link-local, CGNAT, multicast and reserved ranges
+const BLOCKED_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([prefix, bits]) => BLOCKED_RANGES.addSubnet(prefix, bits, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([prefix, bits]) => BLOCKED_RANGES.addSubnet(prefix, bits, 'ipv6'));
+
+// Local receivers (e.g. a webhook sink on localhost) for development only
+const allowPrivate = () => process.env.ALLOW_PRIVATE_WEBHOOKS === 'true';
+
+/**
+ * Address is loopback, private, link-local or otherwise not publicly routable
+ * (IPv4-mapped IPv6 addresses are checked as IPv4)
+ */
+export function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) return false;
+  return BLOCKED_RANGES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Why a URL can't be used as a webhook target (null when it can).
+ * Catches what is visible without DNS: the protocol, localhost names and
+ * private IP literals. Hostnames are checked at send time (publicOnlyLookup).
+ */
+export function getUrlSafetyError(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return 'must be a valid http(s) URL';
+  }
+
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return 'must be a valid http(s) URL';
+  if (allowPrivate()) return null;
+
+  const hostname = parsed.hostname.replace(/^\[|\]$|\.$/g, '').toLowerCase();
+  if (hostname === 'localhost' || hostname.endsWith('.localhost') || isPrivateAddress(hostname)) {
+    return 'must not point to a loopback, private or link-local address';
+  }
+  return null;
+}
+
+/**
+ * DNS lookup for axios (`lookup` option) that refuses hostnames resolving to
+ * private addresses. Runs when the connection is made, so a hostname can't
+ * pass a check and then resolve elsewhere.
+ */
+export async function publicOnlyLookup(hostname, options = {}) {
+  const addresses = await dns.lookup(hostname, { ...options, all: true });
+
+  if (!allowPrivate()) {
+    const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+    if (blocked) throw new BlockedDestinationError(`${hostname} resolves to a private address (${blocked.address})`);
+  }
+
+  return addresses;
+}
+
+/**
+ * axios options for a request to a user-supplied URL: private destinations
+ * are refused and redirects are not followed
+ */
+export function publicOnlyRequestOptions(url) {
+  const error = getUrlSafetyError(url);
+  if (error) throw new BlockedDestinationError(`Webhook URL ${error}`);
+
+  return { maxRedirects: 0, lookup: publicOnlyLookup };
+}